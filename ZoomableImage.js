@@ -0,0 +1,441 @@
+/* @flow */
+
+import React, {Component} from 'react';
+import type {Node} from 'react';
+import {View, Image, Animated, StyleSheet, PanResponder} from 'react-native';
+
+import TransformController, {scalesAreEqual} from './transform';
+import type {TranslateType, SizeType, TransformType} from './transform';
+import {
+    DEFAULT_ZOOM_SETTINGS,
+    zoomSettingValidators,
+    getSettings,
+} from './settings';
+import type {ZoomSettingsType} from './settings';
+import GestureController from './gestures';
+import type {
+    EventType,
+    GestureState,
+    TapEventType,
+    TapCallbackType,
+} from './gestures';
+
+type PropsType = ZoomSettingsType & {
+    source: any,
+    width?: number,
+    height?: number,
+    rotation: number,
+    style?: any,
+    children?: Node,
+    onLoad?: () => void,
+    onError?: (error: any) => void,
+    onZoomChange?: (transform: TransformType) => void,
+    onZoomEnd?: (transform: TransformType) => void,
+    onSingleTap?: (event: TapEventType) => ?boolean,
+    onDoubleTap?: (event: TapEventType) => ?boolean,
+    onLongPress?: (event: TapEventType) => void,
+};
+
+const styles = StyleSheet.create({
+    container: {
+        overflow: 'hidden',
+    },
+    imageContainer: {
+        position: 'absolute',
+        top: 0,
+        left: 0,
+    },
+    image: {
+        width: '100%',
+        height: '100%',
+    },
+});
+
+const getSourceSize = ({source, width, height}: PropsType): ?SizeType => {
+    if (width && height) {
+        return {width, height};
+    }
+
+    // static image required from the bundle knows its size
+    if (typeof source === 'number') {
+        const asset = Image.resolveAssetSource(source);
+
+        return asset && {width: asset.width, height: asset.height};
+    }
+
+    if (source && source.width && source.height) {
+        return {width: source.width, height: source.height};
+    }
+
+    return null;
+};
+
+// Inline source object is a new one on every render, the image is the same
+const getSourceKey = (source: any): any =>
+    source && typeof source === 'object' ? source.uri : source;
+
+const sizesAreEqual = (size: ?SizeType, otherSize: ?SizeType): boolean =>
+    size === otherSize ||
+    Boolean(
+        size &&
+            otherSize &&
+            size.width === otherSize.width &&
+            size.height === otherSize.height
+    );
+
+const getZoomableImageSettings = (props: PropsType): ZoomSettingsType =>
+    getSettings(
+        props,
+        DEFAULT_ZOOM_SETTINGS,
+        zoomSettingValidators,
+        'ZoomableImage'
+    );
+
+/**
+ * Image with the same pinch, pan and double tap zoom as in the gallery,
+ * it fits its own container instead of the screen
+ */
+export default class ZoomableImage extends Component<PropsType> {
+    constructor(props: PropsType) {
+        super(props);
+
+        this.settings = getZoomableImageSettings(props);
+
+        this.state = {
+            containerSize: null,
+            imageSize: getSourceSize(props),
+        };
+
+        this.container = null;
+        // touches are measured in the page, image is placed in the container
+        this.containerOffset = {x: 0, y: 0};
+        this.isUnmounted = false;
+        this.isGestureStarted = false;
+
+        this.gestures = new GestureController({
+            getSettings: (): ZoomSettingsType => this.settings,
+            getTransformController: (): TransformController =>
+                this.getTransformController(),
+            getContainerOffset: (): TranslateType => this.containerOffset,
+            getTapCallback: (name: string): ?TapCallbackType =>
+                this.props[name],
+            onZoomChange: (transform: TransformType): void =>
+                this.callZoomCallback('onZoomChange', transform),
+            onZoomEnd: (transform: TransformType): void =>
+                this.callZoomCallback('onZoomEnd', transform),
+        });
+
+        this.imageScaleValue = this.gestures.scaleValue;
+        this.imageTranslateValue = this.gestures.translateValue;
+
+        this.panResponder = PanResponder.create({
+            onStartShouldSetPanResponder: (): boolean => true,
+            onMoveShouldSetPanResponder: (): boolean => true,
+            onPanResponderGrant: (event: EventType): void =>
+                this.onGestureStart(event.nativeEvent),
+            onPanResponderMove: (
+                event: EventType,
+                gestureState: GestureState
+            ): void => this.onGestureMove(event.nativeEvent, gestureState),
+            onPanResponderRelease: (
+                event: EventType,
+                gestureState: GestureState
+            ): void => this.onGestureRelease(event.nativeEvent, gestureState),
+            onPanResponderTerminate: (
+                event: EventType,
+                gestureState: GestureState
+            ): void => this.onGestureRelease(null, gestureState),
+            // not zoomed image lets parent list scroll
+            onPanResponderTerminationRequest: (): boolean =>
+                !this.isZoomed() && this.gestures.currentTouchesNum < 2,
+        });
+
+        this.onLayout = this.onLayout.bind(this);
+        this.onImageSizeReceived = this.onImageSizeReceived.bind(this);
+    }
+
+    componentDidMount() {
+        if (!this.state.imageSize) {
+            this.fetchImageSize(this.props.source);
+        }
+    }
+
+    componentWillReceiveProps(nextProps: PropsType) {
+        if (
+            Object.keys(DEFAULT_ZOOM_SETTINGS).some(
+                (name: string): boolean => nextProps[name] !== this.props[name]
+            )
+        ) {
+            this.settings = getZoomableImageSettings(nextProps);
+        }
+
+        const isSourceChanged =
+            getSourceKey(nextProps.source) !== getSourceKey(this.props.source);
+        // size fetched for the same image is still valid
+        const imageSize =
+            getSourceSize(nextProps) ||
+            (isSourceChanged ? null : this.state.imageSize);
+
+        if (
+            isSourceChanged ||
+            !sizesAreEqual(imageSize, this.state.imageSize)
+        ) {
+            this.setState({imageSize}, () => this.resetTransform());
+
+            if (!imageSize) {
+                // pending taps have no image to be reported for
+                this.gestures.stop();
+                this.fetchImageSize(nextProps.source);
+            }
+        }
+    }
+
+    componentDidUpdate(prevProps: PropsType) {
+        if (prevProps.rotation !== this.props.rotation) {
+            this.resetTransform();
+        }
+    }
+
+    componentWillUnmount() {
+        this.isUnmounted = true;
+        this.gestures.stop();
+    }
+
+    onLayout({nativeEvent: {layout}}: Object) {
+        const {width, height} = layout;
+        const {containerSize} = this.state;
+
+        this.measureContainer();
+
+        if (
+            containerSize &&
+            containerSize.width === width &&
+            containerSize.height === height
+        ) {
+            return;
+        }
+
+        this.setState({containerSize: {width, height}}, () =>
+            this.resetTransform()
+        );
+    }
+
+    onImageSizeReceived(source: any, imageSize: SizeType) {
+        // source could be changed while its size was fetched
+        if (
+            this.isUnmounted ||
+            getSourceKey(source) !== getSourceKey(this.props.source)
+        ) {
+            return;
+        }
+
+        this.setState({imageSize}, () => this.resetTransform());
+    }
+
+    // Image isn't shown while its size is loading or failed to load
+    onGestureStart(event: EventType) {
+        if (!this.isReady()) {
+            return;
+        }
+
+        this.isGestureStarted = true;
+        this.measureContainer();
+        this.gestures.start(event.touches);
+    }
+
+    onGestureMove(event: EventType, {dx, dy}: GestureState) {
+        if (!this.isGestureStarted || !this.isReady()) {
+            return;
+        }
+
+        this.gestures.move(event.touches, dx, dy);
+        this.callZoomCallback(
+            'onZoomChange',
+            this.gestures.getCurrentTransform()
+        );
+    }
+
+    // Touch taken over by the parent list ends without event
+    onGestureRelease(event: ?Object, gestureState: GestureState) {
+        if (!this.isGestureStarted) {
+            return;
+        }
+
+        this.isGestureStarted = false;
+
+        if (!this.isReady()) {
+            this.gestures.cancelLongPress();
+
+            return;
+        }
+
+        this.gestures.release(event, gestureState);
+    }
+
+    getTransformController(): TransformController {
+        const {containerSize, imageSize} = this.state;
+
+        return new TransformController({
+            containerSize,
+            imageSize,
+            rotation: this.props.rotation,
+            minScale: this.settings.minScale,
+            maxScale: this.settings.maxScale,
+        });
+    }
+
+    fetchImageSize(source: any) {
+        if (!source || !source.uri) {
+            return;
+        }
+
+        Image.getSize(
+            source.uri,
+            (width: number, height: number): void =>
+                this.onImageSizeReceived(source, {width, height}),
+            (error: any) => {
+                if (!this.isUnmounted && this.props.onError) {
+                    this.props.onError(error);
+                }
+            }
+        );
+    }
+
+    measureContainer() {
+        if (!this.container) {
+            return;
+        }
+
+        this.container.measure(
+            (
+                x: number,
+                y: number,
+                width: number,
+                height: number,
+                pageX: number,
+                pageY: number
+            ) => {
+                this.containerOffset = {x: pageX || 0, y: pageY || 0};
+            }
+        );
+    }
+
+    isReady(): boolean {
+        const {containerSize, imageSize} = this.state;
+
+        return Boolean(containerSize && imageSize);
+    }
+
+    isZoomed(): boolean {
+        if (!this.state.containerSize || !this.state.imageSize) {
+            return false;
+        }
+
+        return !scalesAreEqual(
+            this.imageScaleValue._value,
+            this.getTransformController().getInitialTransform().scale
+        );
+    }
+
+    callZoomCallback(
+        name: 'onZoomChange' | 'onZoomEnd',
+        transform: TransformType
+    ) {
+        const callback = this.props[name];
+
+        if (typeof callback === 'function') {
+            callback(transform);
+        }
+    }
+
+    // Image fits the container and is placed in its center
+    resetTransform() {
+        const {containerSize, imageSize} = this.state;
+
+        if (!containerSize || !imageSize) {
+            return;
+        }
+
+        const {
+            scale,
+            translate,
+        } = this.getTransformController().getInitialTransform();
+
+        this.imageScaleValue.stopAnimation();
+        this.imageTranslateValue.stopAnimation();
+        this.imageScaleValue.setValue(scale);
+        this.imageTranslateValue.setValue(translate);
+    }
+
+    // Scale is relative to the scale image fits the container with
+    zoomTo(scale: number, point: ?TranslateType) {
+        const {containerSize, imageSize} = this.state;
+
+        if (!containerSize || !imageSize) {
+            return;
+        }
+
+        const {width, height} = containerSize;
+
+        this.gestures.zoom(
+            scale * this.getTransformController().getInitialTransform().scale,
+            point || {x: width / 2, y: height / 2}
+        );
+    }
+
+    resetZoom() {
+        this.zoomTo(1);
+    }
+
+    render(): Node {
+        const {source, rotation, style, children, onLoad, onError} = this.props;
+        const {containerSize, imageSize} = this.state;
+
+        return (
+            <View
+                ref={(container: any) => {
+                    this.container = container;
+                }}
+                style={[styles.container, style]}
+                onLayout={this.onLayout}
+                {...this.panResponder.panHandlers}
+            >
+                {containerSize &&
+                    imageSize && (
+                        <Animated.View
+                            style={[
+                                styles.imageContainer,
+                                {
+                                    width: imageSize.width,
+                                    height: imageSize.height,
+                                    transform: [
+                                        ...this.imageTranslateValue.getTranslateTransform(),
+                                        {scale: this.imageScaleValue},
+                                        {rotate: `${rotation}deg`},
+                                    ],
+                                },
+                            ]}
+                        >
+                            <Image
+                                resizeMode="cover"
+                                source={source}
+                                style={styles.image}
+                                onLoad={onLoad}
+                                onError={(event: Object) => {
+                                    if (onError) {
+                                        onError(event.nativeEvent.error);
+                                    }
+                                }}
+                            />
+                            {children}
+                        </Animated.View>
+                    )}
+            </View>
+        );
+    }
+}
+
+ZoomableImage.defaultProps = {
+    rotation: 0,
+    ...DEFAULT_ZOOM_SETTINGS,
+};
@@ -0,0 +1,412 @@
+/* @flow */
+
+import {Animated} from 'react-native';
+
+import TransformController, {
+    MOMENTUM_DECELERATION,
+    scalesAreEqual,
+    getMomentumDistance,
+} from './transform';
+import type {TouchType, TranslateType, TransformType} from './transform';
+import type {ZoomSettingsType} from './settings';
+
+export type EventType = {
+    nativeEvent: {
+        touches: Array<TouchType>,
+        pageX: number,
+        pageY: number,
+    },
+};
+
+export type GestureState = {
+    dx: number,
+    dy: number,
+    vx: number,
+    vy: number,
+};
+
+export type TapEventType = {
+    point: TranslateType,
+    imagePoint: TranslateType,
+};
+
+export type TapCallbackType = (event: TapEventType) => ?boolean;
+
+/**
+ * Component which image is zoomed, only getSettings and
+ * getTransformController are required
+ */
+type DelegateType = {
+    getSettings: () => ZoomSettingsType,
+    getTransformController: () => TransformController,
+    // touches are measured in the page, image is placed in the container
+    getContainerOffset?: () => TranslateType,
+    isZoomable?: () => boolean,
+    getTapCallback?: (
+        name: 'onSingleTap' | 'onDoubleTap' | 'onLongPress'
+    ) => ?TapCallbackType,
+    // default behavior of tap which isn't canceled by callback
+    onSingleTap?: () => void,
+    onDoubleTapZoom?: (scale: number) => void,
+    onZoomChange?: (transform: TransformType) => void,
+    onZoomEnd?: (transform: TransformType) => void,
+    // image is going to stay with this transform after release or zoom
+    onTransformEnd?: (transform: TransformType) => void,
+};
+
+// finger moved further is not a long press
+const LONG_PRESS_DISTANCE = 10;
+
+/**
+ * Image keeps moving with release velocity and slows down,
+ * if it is going to stop behind the limits then spring it back to the edge
+ */
+function getMomentumAnimation(
+    value: Animated.Value,
+    toValue: number,
+    velocity: number
+): any {
+    const projectedValue = value._value + getMomentumDistance(velocity);
+
+    if (Math.abs(projectedValue - toValue) < 1) {
+        return Animated.decay(value, {
+            velocity,
+            deceleration: MOMENTUM_DECELERATION,
+            useNativeDriver: true,
+        });
+    }
+
+    return Animated.spring(value, {
+        toValue,
+        // spring velocity is measured in px per second
+        velocity: velocity * 1000,
+        friction: 7,
+        tension: 40,
+        useNativeDriver: true,
+    });
+}
+
+/**
+ * Pinch, pan, tap, double tap and long press of the zoomable image,
+ * shared by the gallery and ZoomableImage. It owns animated scale and
+ * translate of the image and asks component for the geometry and callbacks
+ */
+export default class GestureController {
+    delegate: DelegateType;
+    initialTouches: Array<TouchType>;
+    currentTouchesNum: number;
+    gestureOrigin: ?(TransformType & {dx: number, dy: number});
+    doubleTapTimer: ?TimeoutID;
+    longPressTimer: ?TimeoutID;
+    isLongPressed: boolean;
+    scaleValue: Animated.Value;
+    translateValue: Animated.ValueXY;
+
+    constructor(delegate: DelegateType) {
+        this.delegate = delegate;
+        this.initialTouches = [];
+        this.currentTouchesNum = 0;
+        this.gestureOrigin = null;
+        this.doubleTapTimer = null;
+        this.longPressTimer = null;
+        this.isLongPressed = false;
+
+        this.scaleValue = new Animated.Value(1);
+        this.translateValue = new Animated.ValueXY();
+
+        // values moved by native driver are sent back to JS only if
+        // they are listened, gestures continue from their current values
+        [this.scaleValue, this.translateValue.x, this.translateValue.y].forEach(
+            (value: Animated.Value) => {
+                value.addListener(() => {});
+            }
+        );
+    }
+
+    // Catch the image if it is still moving by momentum
+    start(touches: Array<TouchType>) {
+        this.scaleValue.stopAnimation();
+        this.translateValue.stopAnimation();
+
+        this.setGestureOrigin(touches, 0, 0);
+
+        if (touches.length === 1) {
+            const point = this.getContainerPoint(touches[0]);
+
+            this.longPressTimer = setTimeout(() => {
+                this.longPressTimer = null;
+                this.isLongPressed = true;
+                this.callTapCallback('onLongPress', point);
+            }, this.delegate.getSettings().longPressDelay);
+        }
+    }
+
+    /**
+     * Two fingers zoom image around the point between them,
+     * one finger pans zoomed image
+     */
+    move(touches: Array<TouchType>, dx: number, dy: number) {
+        if (
+            touches.length > 1 ||
+            Math.abs(dx) > LONG_PRESS_DISTANCE ||
+            Math.abs(dy) > LONG_PRESS_DISTANCE
+        ) {
+            this.cancelLongPress();
+        }
+
+        // Finger was added or lifted, continue from the current position
+        if (touches.length !== this.currentTouchesNum) {
+            this.setGestureOrigin(touches, dx, dy);
+        }
+
+        const transformController = this.delegate.getTransformController();
+
+        if (touches.length >= 2) {
+            const {scale, translate} = transformController.pinch(
+                this.gestureOrigin,
+                this.getContainerTouches(this.initialTouches),
+                this.getContainerTouches(touches),
+                this.delegate.getSettings().pinchScaleMultiplier
+            );
+
+            this.scaleValue.setValue(scale);
+            this.translateValue.setValue(translate);
+
+            return;
+        }
+
+        this.translateValue.setValue(
+            transformController.pan(this.gestureOrigin, {
+                x: dx - this.gestureOrigin.dx,
+                y: dy - this.gestureOrigin.dy,
+            }).translate
+        );
+    }
+
+    /**
+     * Touch which hasn't moved image is a tap, otherwise image keeps
+     * moving with release velocity and stops in the limits.
+     * Terminated gesture doesn't have the release event.
+     */
+    release(event: ?TouchType, {dx, dy, vx, vy}: GestureState) {
+        const transformController = this.delegate.getTransformController();
+        const {scale} = this.getCurrentTransform();
+        // touch which ended long press is not a tap
+        const isTap =
+            Boolean(event) &&
+            !dx &&
+            !dy &&
+            scalesAreEqual(this.gestureOrigin.scale, scale) &&
+            !this.isLongPressed;
+
+        this.cancelLongPress();
+
+        // double tap zooms image itself
+        if (event && isTap && this.tap(this.getContainerPoint(event))) {
+            return;
+        }
+
+        const hasMomentum =
+            !isTap &&
+            !scalesAreEqual(
+                scale,
+                transformController.getInitialTransform().scale
+            );
+        const {translate} = transformController.release(
+            this.getCurrentTransform(),
+            hasMomentum ? {x: vx, y: vy} : undefined
+        );
+
+        Animated.parallel(
+            ['x', 'y'].map(
+                (axis: string): any =>
+                    hasMomentum
+                        ? getMomentumAnimation(
+                              this.translateValue[axis],
+                              translate[axis],
+                              axis === 'x' ? vx : vy
+                          )
+                        : Animated.timing(this.translateValue[axis], {
+                              toValue: translate[axis],
+                              duration: 100,
+                              useNativeDriver: true,
+                          })
+            )
+        ).start(({finished}) => {
+            if (finished) {
+                this.callDelegate('onZoomEnd', {scale, translate});
+            }
+        });
+
+        this.callDelegate('onZoomChange', {scale, translate});
+        this.callDelegate('onTransformEnd', {scale, translate});
+    }
+
+    /**
+     * Single tap waits for the second one if double tap is handled,
+     * returns true if it was double tap
+     */
+    tap(point: TranslateType): boolean {
+        const settings = this.delegate.getSettings();
+        const isZoomEnabled =
+            settings.doubleTapZoomEnabled &&
+            (!this.delegate.isZoomable || this.delegate.isZoomable());
+
+        // Double tap timer is launced, its double tap
+        if (this.doubleTapTimer) {
+            clearTimeout(this.doubleTapTimer);
+            this.doubleTapTimer = null;
+
+            if (this.callTapCallback('onDoubleTap', point) && isZoomEnabled) {
+                const nextScale = this.delegate
+                    .getTransformController()
+                    .getNextZoomStep(
+                        this.getCurrentTransform().scale,
+                        settings.doubleTapZoomSteps
+                    );
+
+                this.zoom(nextScale, point);
+                this.callDelegate('onDoubleTapZoom', nextScale);
+            }
+
+            return true;
+        }
+
+        const onSingleTap = () => {
+            if (this.callTapCallback('onSingleTap', point)) {
+                this.callDelegate('onSingleTap');
+            }
+        };
+
+        if (isZoomEnabled || this.getTapCallback('onDoubleTap')) {
+            this.doubleTapTimer = setTimeout(() => {
+                this.doubleTapTimer = null;
+                onSingleTap();
+            }, settings.doubleTapDelay);
+        } else {
+            onSingleTap();
+        }
+
+        return false;
+    }
+
+    /**
+     * Animate image to the next scale keeping the point of the image
+     * under the given container point if limits allow it
+     */
+    zoom(nextScale: number, point: TranslateType) {
+        const {scale, translate} = this.delegate
+            .getTransformController()
+            .zoom(this.getCurrentTransform(), nextScale, point);
+
+        Animated.parallel([
+            Animated.timing(this.scaleValue, {
+                toValue: scale,
+                duration: 300,
+                useNativeDriver: true,
+            }),
+            Animated.timing(this.translateValue, {
+                toValue: translate,
+                duration: 300,
+                useNativeDriver: true,
+            }),
+        ]).start(({finished}) => {
+            if (finished) {
+                this.callDelegate('onZoomEnd', {scale, translate});
+            }
+        });
+
+        this.callDelegate('onZoomChange', {scale, translate});
+        this.callDelegate('onTransformEnd', {scale, translate});
+    }
+
+    getCurrentTransform(): TransformType {
+        return {
+            scale: this.scaleValue._value,
+            translate: {
+                x: this.translateValue.x._value,
+                y: this.translateValue.y._value,
+            },
+        };
+    }
+
+    getContainerOffset(): TranslateType {
+        return this.delegate.getContainerOffset
+            ? this.delegate.getContainerOffset()
+            : {x: 0, y: 0};
+    }
+
+    getContainerPoint({pageX, pageY}: TouchType): TranslateType {
+        const offset = this.getContainerOffset();
+
+        return {x: pageX - offset.x, y: pageY - offset.y};
+    }
+
+    getContainerTouches(touches: Array<TouchType>): Array<TouchType> {
+        return touches.map((touch: TouchType): TouchType => {
+            const {x, y} = this.getContainerPoint(touch);
+
+            return {pageX: x, pageY: y};
+        });
+    }
+
+    getTapCallback(
+        name: 'onSingleTap' | 'onDoubleTap' | 'onLongPress'
+    ): ?TapCallbackType {
+        return this.delegate.getTapCallback
+            ? this.delegate.getTapCallback(name)
+            : null;
+    }
+
+    setGestureOrigin(touches: Array<TouchType>, dx: number, dy: number) {
+        this.initialTouches = touches;
+        this.currentTouchesNum = touches.length;
+        this.gestureOrigin = {...this.getCurrentTransform(), dx, dy};
+    }
+
+    /**
+     * Call tap callback with container point and the point of the image
+     * under it, false returned from callback cancels default behavior
+     */
+    callTapCallback(
+        name: 'onSingleTap' | 'onDoubleTap' | 'onLongPress',
+        point: TranslateType
+    ): boolean {
+        const callback = this.getTapCallback(name);
+
+        if (typeof callback !== 'function') {
+            return true;
+        }
+
+        const imagePoint = this.delegate
+            .getTransformController()
+            .getImagePoint(this.getCurrentTransform(), point);
+
+        return callback({point, imagePoint}) !== false;
+    }
+
+    callDelegate(name: string, ...args: Array<any>) {
+        if (typeof this.delegate[name] === 'function') {
+            this.delegate[name](...args);
+        }
+    }
+
+    cancelLongPress() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+
+        this.isLongPressed = false;
+    }
+
+    // Image is unmounted or replaced, pending taps are not reported
+    stop() {
+        this.cancelLongPress();
+
+        if (this.doubleTapTimer) {
+            clearTimeout(this.doubleTapTimer);
+            this.doubleTapTimer = null;
+        }
+    }
+}
@@ -11,86 +11,248 @@ import {
     StyleSheet,
     Dimensions,
     PanResponder,
+    BackHandler,
     TouchableOpacity,
+    AccessibilityInfo,
     ActivityIndicator,
 } from 'react-native';
 
 import Modal from 'react-native-root-modal';
 
-type TouchType = {
-    pageX: number,
-    pageY: number,
-};
-
-type EventType = {
-    nativeEvent: {
-        touches: Array<TouchType>,
-    },
-};
+import TransformController, {
+    scalesAreEqual,
+    getOriginTransform,
+    calculateInitalTranslate,
+} from './transform';
+import type {
+    TranslateType,
+    SizeType,
+    RectType,
+    TransformType,
+} from './transform';
+import {
+    DEFAULT_ZOOM_SETTINGS,
+    zoomSettingValidators,
+    isBoolean,
+    isNumber,
+    isPositiveNumber,
+    getSettings,
+} from './settings';
+import type {ZoomSettingsType} from './settings';
+import GestureController from './gestures';
+import type {
+    EventType,
+    GestureState,
+    TapEventType as GestureTapEventType,
+    TapCallbackType,
+} from './gestures';
+import ZoomableImage from './ZoomableImage';
+
+export {TransformController, ZoomableImage};
 
 type ImageType = {
+    type: ?string,
     source: any,
+    thumbnailSource: ?any,
+    previewSource: ?any,
+    originRect: ?RectType,
     width: number,
     height: number,
+    rotation: ?number,
     title: ?string,
+    alt: ?string,
+    accessibilityLabel: ?string,
 };
 
-type TranslateType = {
-    x: number,
-    y: number,
-};
+type TapEventType = GestureTapEventType & {index: number};
 
-type GestureState = {
-    dx: number,
-    dy: number,
-    vx: number,
-    vy: number,
+type HeaderParamsType = {
+    index: number,
+    total: number,
+    close: () => void,
+    rotate: (degrees: number) => void,
 };
 
 type PropsType = {
     images: Array<ImageType>,
     imageIndex: number,
     isVisible: boolean,
+    keyExtractor: (image: ImageType, index: number) => string,
     animation: 'none' | 'fade',
     onClose: () => {},
+    onRequestOriginRect: (index: number) => ?RectType | Promise<?RectType>,
+    onImageChange: (index: number) => {},
+    onImageError: (index: number, error: any) => {},
+    onRotate: (index: number, rotation: number) => {},
+    onStartReached: () => {},
+    onEndReached: () => {},
+    isLoadingStart: boolean,
+    isLoadingEnd: boolean,
+    loop: boolean,
+    autoPlay: boolean,
+    onSlideshowEnd: () => {},
+    onZoomChange: (transform: TransformType & {index: number}) => {},
+    onZoomEnd: (transform: TransformType & {index: number}) => {},
+    onDismissProgress: (progress: number) => {},
+    onSingleTap: (event: TapEventType) => ?boolean,
+    onDoubleTap: (event: TapEventType) => ?boolean,
+    onLongPress: (event: TapEventType) => void,
+    renderHeader: (image: ImageType, params: HeaderParamsType) => {},
     renderFooter: () => {},
+    renderImageOverlay: (image: ImageType, transform: TransformType) => {},
+    renderError: (image: ImageType, retry: () => void) => {},
+    showThumbnails: boolean,
+    renderThumbnail: (
+        image: ImageType,
+        params: {index: number, isActive: boolean}
+    ) => {},
+    renderMedia: (
+        item: ImageType,
+        params: {index: number, isActive: boolean}
+    ) => {},
+    getAccessibilityLabel: (
+        image: ImageType,
+        params: {index: number, total: number}
+    ) => string,
+    handleBackPress: boolean,
+    subscribeToKeyEvents: (
+        listener: (event: string | {key: string}) => void
+    ) => ?() => void,
+} & SettingsType;
+
+type SettingsType = ZoomSettingsType & {
+    swipeToCloseEnabled: boolean,
+    swipeToCloseVelocity: number,
+    swipeToCloseDistance: number,
+    scrollFreezeDistance: number,
+    backgroundOpacityMultiplier: number,
+    preloadAhead: number,
+    preloadBehind: number,
+    preloadConcurrency: number,
+    onEndReachedThreshold: number,
+    autoPlayInterval: number,
 };
 
-const IMAGE_SPEED_FOR_CLOSE = 1.1;
-const SCALE_MAXIMUM = 5;
 const HEADER_HEIGHT = 60;
-const SCALE_EPSILON = 0.01;
-const SCALE_MULTIPLIER = 1.2;
-const SCALE_MAX_MULTIPLIER = 3;
-const FREEZE_SCROLL_DISTANCE = 15;
-const BACKGROUND_OPACITY_MULTIPLIER = 0.003;
+const THUMBNAIL_SIZE = 50;
+const THUMBNAIL_MARGIN = 2;
+const TRANSITION_DURATION = 300;
+const PROGRESS_WIDTH = 120;
+// time onRequestOriginRect has to answer in
+const ORIGIN_RECT_TIMEOUT = 500;
+// scale of the image dragged to close, relative to its fitted scale
+const DISMISS_MIN_SCALE = 0.85;
+
+const DEFAULT_SETTINGS: SettingsType = {
+    ...DEFAULT_ZOOM_SETTINGS,
+    swipeToCloseEnabled: true,
+    swipeToCloseVelocity: 1.1,
+    swipeToCloseDistance: 150,
+    scrollFreezeDistance: 15,
+    backgroundOpacityMultiplier: 0.003,
+    preloadAhead: 2,
+    preloadBehind: 1,
+    preloadConcurrency: 2,
+    onEndReachedThreshold: 1,
+    autoPlayInterval: 3000,
+};
+
+// Shared between instances, so images opened again are shown immediately
+const imageSizeCache: {[uri: string]: SizeType} = {};
+const prefetchRequests: {[uri: string]: Promise<any>} = {};
 
-const {width: screenWidth, height: screenHeight} = Dimensions.get('window');
 const styles = StyleSheet.create({
-    container: {
-        width: screenWidth,
-        height: screenHeight,
+    background: {
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+    },
+    backgroundColor: {
+        backgroundColor: '#000',
     },
     header: {
         position: 'absolute',
         top: 0,
         left: 0,
         zIndex: 100,
+    },
+    defaultHeader: {
         height: HEADER_HEIGHT,
-        width: screenWidth,
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    counter: {
+        paddingHorizontal: 25,
+        backgroundColor: 'transparent',
+        fontSize: 17,
+        color: '#FFF',
     },
     imageContainer: {
-        width: screenWidth,
-        height: screenHeight,
         overflow: 'hidden',
     },
+    // focusable by screen reader, but too small to take media touches
+    mediaAccessibilityElement: {
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        width: 1,
+        height: 1,
+    },
+    loadingPage: {
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    image: {
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+    },
     loading: {
         position: 'absolute',
-        top: screenHeight / 2 - 20,
         alignSelf: 'center',
     },
+    progress: {
+        position: 'absolute',
+        alignSelf: 'center',
+        width: PROGRESS_WIDTH,
+        height: 3,
+        borderRadius: 1.5,
+        overflow: 'hidden',
+        backgroundColor: 'rgba(255, 255, 255, 0.3)',
+    },
+    progress__bar: {
+        height: 3,
+        backgroundColor: '#FFF',
+    },
+    error: {
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    error__text: {
+        fontSize: 15,
+        color: '#FFF',
+        textAlign: 'center',
+    },
+    error__button: {
+        marginTop: 10,
+        padding: 10,
+        fontSize: 15,
+        color: '#FFF',
+        textAlign: 'center',
+        textDecorationLine: 'underline',
+    },
     closeButton: {
-        alignSelf: 'flex-end',
+        marginLeft: 'auto',
     },
     closeButton__text: {
         padding: 25,
@@ -105,216 +267,333 @@ const styles = StyleSheet.create({
         left: 0,
         zIndex: 100,
     },
+    thumbnails: {
+        paddingVertical: 10,
+    },
+    thumbnail: {
+        width: THUMBNAIL_SIZE,
+        height: THUMBNAIL_SIZE,
+        marginHorizontal: THUMBNAIL_MARGIN,
+        opacity: 0.6,
+    },
+    thumbnailActive: {
+        opacity: 1,
+    },
+    thumbnail__image: {
+        width: THUMBNAIL_SIZE,
+        height: THUMBNAIL_SIZE,
+    },
 });
 
-const generatePanHandlers = (onStart, onMove, onRelease): any =>
+// Touches are not captured on start if children should receive taps
+const generatePanHandlers = (
+    onStart,
+    onMove,
+    onRelease,
+    onTerminate,
+    captureStart: boolean = true
+): any =>
     PanResponder.create({
         onStartShouldSetPanResponder: (): boolean => true,
-        onStartShouldSetPanResponderCapture: (): boolean => true,
+        onStartShouldSetPanResponderCapture: (): boolean => captureStart,
         onMoveShouldSetPanResponder: (): boolean => true,
         onMoveShouldSetPanResponderCapture: (): boolean => true,
         onPanResponderGrant: onStart,
         onPanResponderMove: onMove,
         onPanResponderRelease: onRelease,
-        onPanResponderTerminate: onRelease,
+        onPanResponderTerminate: onTerminate,
         onPanResponderTerminationRequest: (): void => {},
     });
 
-const getScale = (currentDistance: number, initialDistance: number): number =>
-    currentDistance / initialDistance * SCALE_MULTIPLIER;
-const pow2abs = (a: number, b: number): number => Math.pow(Math.abs(a - b), 2);
+function getThumbnailLayout(data, index): any {
+    const length = THUMBNAIL_SIZE + THUMBNAIL_MARGIN * 2;
 
-function getItemLayout(data, index): any {
     return {
-        length: screenWidth,
-        offset: screenWidth * index,
+        length,
+        offset: length * index,
         index,
     };
 }
 
-function getDistance(touches: Array<TouchType>): number {
-    const [a, b] = touches;
+const getImageUri = (image: ImageType): ?string =>
+    image.source && image.source.uri;
+
+const hasSize = ({width, height}: ImageType): boolean =>
+    Boolean(width && height);
+
+// Items of other types than image are rendered with renderMedia
+const isMediaItem = ({type}: ImageType): boolean =>
+    Boolean(type) && type !== 'image';
+
+// Media items fill the screen and are not zoomed
+const getItemSize = (item: ImageType, screenSize: SizeType): SizeType =>
+    isMediaItem(item)
+        ? screenSize
+        : {
+              width: item.width,
+              height: item.height,
+          };
+
+const defaultKeyExtractor = (image: ImageType, index: number): string =>
+    getImageUri(image) || index.toString();
+
+// "Image 3 of 12, Paris"
+const defaultAccessibilityLabel = (
+    image: ImageType,
+    {index, total}: {index: number, total: number}
+): string => {
+    const position = `Image ${index + 1} of ${total}`;
+    const label = image.accessibilityLabel || image.alt || image.title;
+
+    return label ? `${position}, ${label}` : position;
+};
 
-    if (a == null || b == null) {
-        return 0;
-    }
+// Repeated keys (e.g. the same uri) get the number of their occurrence
+function getImageKeys(
+    images: Array<ImageType>,
+    keyExtractor: (image: ImageType, index: number) => string
+): Array<string> {
+    const occurrences = {};
 
-    return Math.sqrt(pow2abs(a.pageX, b.pageX) + pow2abs(a.pageY, b.pageY));
-}
+    return images.map((image: ImageType, index: number): string => {
+        const key = keyExtractor(image, index);
+        const occurrence = occurrences[key] || 0;
 
-function calculateInitialScale(
-    imageWidth: number = 0,
-    imageHeight: number = 0
-): number {
-    const screenRatio = screenHeight / screenWidth;
-    const imageRatio = imageHeight / imageWidth;
+        occurrences[key] = occurrence + 1;
 
-    if (imageWidth > screenWidth || imageHeight > screenHeight) {
-        if (screenRatio > imageRatio) {
-            return screenWidth / imageWidth;
-        }
+        return occurrence ? `${key}-${occurrence}` : key;
+    });
+}
 
-        return screenHeight / imageHeight;
+// Copy of the image with its size taken from cache if it is known
+function getImageWithCachedSize(image: ImageType): ImageType {
+    const uri = getImageUri(image);
+
+    if (hasSize(image) || !uri || !imageSizeCache[uri]) {
+        return image;
     }
 
-    return 1;
+    return {...image, ...imageSizeCache[uri]};
 }
 
-function calculateInitalTranslate(
-    imageWidth: number = 0,
-    imageHeight: number = 0
-): TranslateType {
-    const getTranslate = (axis: string): number => {
-        const imageSize = axis === 'x' ? imageWidth : imageHeight;
-        const screenSize = axis === 'x' ? screenWidth : screenHeight;
+// Failed request is resolved with error, so it doesn't break others
+function getImageSize(image: ImageType, key: string): Promise<Object> {
+    const uri = getImageUri(image);
 
-        if (imageWidth >= imageHeight) {
-            return (screenSize - imageSize) / 2;
-        }
+    if (imageSizeCache[uri]) {
+        return Promise.resolve({...imageSizeCache[uri], key});
+    }
 
-        return screenSize / 2 - imageSize / 2;
-    };
+    return new Promise((resolve, reject) => {
+        Image.getSize(
+            uri,
+            (width, height) => {
+                imageSizeCache[uri] = {width, height};
 
-    return {
-        x: getTranslate('x'),
-        y: getTranslate('y'),
-    };
+                resolve({
+                    width,
+                    height,
+                    key,
+                });
+            },
+            reject
+        );
+    }).catch((error: any): Object => ({key, error}));
 }
 
-function fetchImageSize(images: Array<Image> = []) {
-    return images.reduce((acc, image, index) => {
-        if (
-            image.source &&
-            image.source.uri &&
-            (!image.width || !image.height)
-        ) {
-            const imageSize = new Promise((resolve, reject) => {
-                Image.getSize(
-                    image.source.uri,
-                    (width, height) =>
-                        resolve({
-                            width,
-                            height,
-                            index,
-                        }),
-                    reject
-                );
-            });
+function prefetchImage(image: ImageType): Promise<any> {
+    const uri = getImageUri(image);
 
-            acc.push(imageSize);
-        }
+    if (!prefetchRequests[uri]) {
+        prefetchRequests[uri] = Image.prefetch(uri).catch(() => {
+            delete prefetchRequests[uri];
+        });
+    }
 
-        return acc;
-    }, []);
+    return prefetchRequests[uri];
 }
 
-const getInitalParams = ({
-    width,
-    height,
-}: {
-    width: number,
-    height: number,
-}): {
-    scale: number,
-    translate: TranslateType,
-} => ({
-    scale: calculateInitialScale(width, height),
-    translate: calculateInitalTranslate(width, height),
-});
+const normalizeRotation = (rotation: number): number =>
+    (rotation % 360 + 360) % 360;
+
+const getScreenSize = (): SizeType => {
+    const {width, height} = Dimensions.get('window');
+
+    return {width, height};
+};
 
-const getImagesWithoutSize = (images: Array<ImageType>) =>
-    images.filter(({width, height}) => !width || !height);
+const settingValidators = {
+    ...zoomSettingValidators,
+    swipeToCloseEnabled: isBoolean,
+    swipeToCloseVelocity: isPositiveNumber,
+    swipeToCloseDistance: isPositiveNumber,
+    scrollFreezeDistance: isNumber,
+    backgroundOpacityMultiplier: isNumber,
+    preloadAhead: isNumber,
+    preloadBehind: isNumber,
+    preloadConcurrency: isPositiveNumber,
+    onEndReachedThreshold: isNumber,
+    autoPlayInterval: isPositiveNumber,
+};
 
-const scalesAreEqual = (scaleA: number, scaleB: number): boolean =>
-    Math.abs(scaleA - scaleB) < SCALE_EPSILON;
+const getImageViewSettings = (props: PropsType): SettingsType =>
+    getSettings(props, DEFAULT_SETTINGS, settingValidators, 'ImageView');
 
 export default class ImageView extends Component<PropsType> {
     constructor(props: PropsType) {
         super(props);
 
         this.renderCounter = 1;
+        this.settings = getImageViewSettings(props);
+
+        // size, loading state and errors of images by their keys,
+        // images passed as props are never modified
+        this.imagesMeta = {};
+
+        const screenSize = getScreenSize();
+        const imageKeys = getImageKeys(props.images, props.keyExtractor);
+        const images = this.getImagesWithMeta(props.images, imageKeys);
 
         // calculate initial scale and translate for images
-        this.imageInitialParams = props.images.map(getInitalParams);
+        this.imageInitialParams = this.getInitialParams(images, screenSize);
 
         this.state = {
-            images: props.images,
+            screenSize,
+            images,
+            imageKeys,
             isVisible: props.isVisible,
             imageIndex: props.imageIndex,
             imageScale: 1,
             imageTranslate: {x: 0, y: 0},
-            scrollEnabled: true,
             panelsVisible: true,
             isFlatListRerendered: false,
         };
 
         this.isScrolling = false;
+        // scroll is frozen while image is moved, it's set to the list
+        // with native props, so the list is not rendered on every move
+        this.scrollEnabled = true;
+        this.pendingImageIndex = null;
+        this.flatList = null;
+        this.thumbnailsList = null;
+        this.headerHeight = HEADER_HEIGHT;
         this.footerHeight = 0;
-        this.initialTouches = [];
-        this.currentTouchesNum = 0;
-        this.doubleTapTimer = null;
+        this.isDismissing = false;
+        this.imageOpacityValues = {};
+        this.preloadQueue = [];
+        // keys of images which are loaded now and take preload places
+        this.preloads = {};
+        // first and last images the list was asked to be extended from
+        this.startReachedKey = null;
+        this.endReachedKey = null;
+        this.slideshowTimer = null;
+        this.unsubscribeFromKeyEvents = null;
         this.modalAnimation = new Animated.Value(0);
         this.modalBackgroundOpacity = new Animated.Value(0);
+        // progress of opening from thumbnail, fades background and panels
+        this.transitionAnimation = new Animated.Value(1);
+        this.isClosing = false;
 
         this.headerTranslateValue = new Animated.ValueXY();
         this.footerTranslateValue = new Animated.ValueXY();
 
-        this.imageScaleValue = new Animated.Value(this.getInitialScale());
-        this.imageTranslateValue = new Animated.ValueXY(
-            this.getInitialTranslate()
+        this.gestures = new GestureController({
+            getSettings: (): SettingsType => this.settings,
+            getTransformController: (): TransformController =>
+                this.getTransformController(),
+            isZoomable: (): boolean => this.isZoomable(),
+            getTapCallback: (name: string): ?TapCallbackType =>
+                this.getTapCallback(name),
+            onSingleTap: (): void => this.togglePanels(),
+            onDoubleTapZoom: (scale: number): void =>
+                this.togglePanels(
+                    scalesAreEqual(scale, this.getInitialScale())
+                ),
+            onZoomChange: (transform: TransformType): void =>
+                this.callZoomCallback('onZoomChange', transform),
+            onZoomEnd: (transform: TransformType): void =>
+                this.callZoomCallback('onZoomEnd', transform),
+            onTransformEnd: (transform: TransformType): void =>
+                this.onTransformEnd(transform),
+        });
+
+        this.imageScaleValue = this.gestures.scaleValue;
+        this.imageTranslateValue = this.gestures.translateValue;
+        this.imageScaleValue.setValue(this.getInitialScale());
+        this.imageTranslateValue.setValue(this.getInitialTranslate());
+        this.imageRotationValue = new Animated.Value(
+            this.getImageRotation(props.imageIndex)
         );
 
-        this.panResponder = generatePanHandlers(
-            (event: EventType, gestureState: GestureState): void =>
-                this.onGestureStart(event.nativeEvent, gestureState),
+        const gestureHandlers = [
+            (event: EventType): void => this.onGestureStart(event.nativeEvent),
             (event: EventType, gestureState: GestureState): void =>
                 this.onGestureMove(event.nativeEvent, gestureState),
             (event: EventType, gestureState: GestureState): void =>
-                this.onGestureRelease(event.nativeEvent, gestureState)
-        );
+                this.onGestureRelease(event.nativeEvent, gestureState),
+            (event: EventType, gestureState: GestureState): void =>
+                this.onGestureRelease(null, gestureState),
+        ];
+
+        this.panResponder = generatePanHandlers(...gestureHandlers);
+        // controls of custom media (e.g. video) are still pressable
+        this.mediaPanResponder = generatePanHandlers(...gestureHandlers, false);
 
         this.onNextImage = this.onNextImage.bind(this);
+        this.getItemLayout = this.getItemLayout.bind(this);
+        this.onScrollBeginDrag = this.onScrollBeginDrag.bind(this);
+        this.onDimensionsChange = this.onDimensionsChange.bind(this);
         this.renderImage = this.renderImage.bind(this);
+        this.renderThumbnail = this.renderThumbnail.bind(this);
         this.togglePanels = this.togglePanels.bind(this);
+        this.close = this.close.bind(this);
         this.onFlatListRender = this.onFlatListRender.bind(this);
-        this.setSizeForImages = this.setSizeForImages.bind(this);
+        this.onImagesSizeReceived = this.onImagesSizeReceived.bind(this);
+        this.onSlideshowTick = this.onSlideshowTick.bind(this);
+        this.onAccessibilityAction = this.onAccessibilityAction.bind(this);
+        this.onBackPress = this.onBackPress.bind(this);
+        this.onKeyEvent = this.onKeyEvent.bind(this);
+    }
 
-        const imagesWithoutSize = getImagesWithoutSize(props.images);
+    componentDidMount() {
+        const {images, imageIndex, isVisible} = this.state;
 
-        if (imagesWithoutSize.length) {
-            Promise.all(fetchImageSize(imagesWithoutSize)).then(
-                this.setSizeForImages
-            );
+        Dimensions.addEventListener('change', this.onDimensionsChange);
+
+        if (isVisible) {
+            this.preloadImages(imageIndex);
+            this.checkEndsReached(imageIndex);
+            this.scheduleSlideshow();
+            this.addInputListeners();
+        }
+
+        if (isVisible && this.hasOriginRect(images[imageIndex])) {
+            this.openFromOriginRect(images[imageIndex], imageIndex);
         }
     }
 
     componentWillReceiveProps(nextProps: PropsType) {
-        const {images, imageIndex, isVisible} = this.state;
+        const {imageIndex, isVisible} = this.state;
+        const isIndexChanged =
+            nextProps.imageIndex !== this.props.imageIndex &&
+            nextProps.imageIndex !== imageIndex;
+
+        if (
+            Object.keys(DEFAULT_SETTINGS).some(
+                (name: string): boolean => nextProps[name] !== this.props[name]
+            )
+        ) {
+            this.settings = getImageViewSettings(nextProps);
+        }
 
         if (
             typeof nextProps.isVisible !== 'undefined' &&
             nextProps.isVisible !== isVisible
         ) {
-            this.onNextImagesReceived(nextProps.images, nextProps.imageIndex);
-
-            if (
-                images !== nextProps.images ||
-                imageIndex !== nextProps.imageIndex
-            ) {
-                const imagesWithoutSize = getImagesWithoutSize(
-                    nextProps.images
-                );
-
-                if (imagesWithoutSize.length) {
-                    Promise.all(fetchImageSize(imagesWithoutSize)).then(
-                        updatedImages =>
-                            this.onNextImagesReceived(
-                                this.setSizeForImages(updatedImages),
-                                nextProps.imageIndex
-                            )
-                    );
-                }
-            }
+            const images = this.onNextImagesReceived(
+                nextProps.images,
+                nextProps.imageIndex
+            );
 
             this.setState({
                 isVisible: nextProps.isVisible,
@@ -323,33 +602,181 @@ export default class ImageView extends Component<PropsType> {
 
             this.modalBackgroundOpacity.setValue(0);
 
-            if (nextProps.isVisible) {
+            // image with cached size and meta as it is shown on mount
+            const image = images[nextProps.imageIndex];
+
+            if (nextProps.isVisible && this.hasOriginRect(image)) {
+                this.modalAnimation.setValue(1);
+                this.openFromOriginRect(image, nextProps.imageIndex);
+            } else if (nextProps.isVisible) {
+                this.transitionAnimation.setValue(1);
+
                 Animated.timing(this.modalAnimation, {
                     duration: 400,
                     toValue: 1,
                 }).start();
             }
+        } else if (isVisible && nextProps.images !== this.props.images) {
+            this.updateImages(nextProps.images, (): void => {
+                if (isIndexChanged) {
+                    this.goToIndex(nextProps.imageIndex);
+                }
+            });
+        } else if (isVisible && isIndexChanged) {
+            this.goToIndex(nextProps.imageIndex);
         }
     }
 
-    onNextImagesReceived(images: Array<ImageType>, imageIndex: number = 0) {
-        this.imageInitialParams = images.map(getInitalParams);
-        const {scale, translate} = this.imageInitialParams[imageIndex];
+    componentDidUpdate(prevProps: PropsType, prevState: Object) {
+        const {imageIndex, isVisible} = this.state;
 
-        this.setState({
-            imageIndex,
-            imageScale: scale,
-            imageTranslate: translate,
-            isFlatListRerendered: false,
-        });
+        // page is added or removed before current image,
+        // so list is scrolled to keep it on the screen
+        if (
+            isVisible &&
+            this.flatList &&
+            this.getStartPagesNum(prevProps, prevState.images) !==
+                this.getStartPagesNum()
+        ) {
+            this.pendingImageIndex = imageIndex;
+            this.flatList.scrollToIndex({index: imageIndex, animated: false});
+        }
+
+        if (prevState.isVisible !== isVisible) {
+            if (isVisible) {
+                this.addInputListeners();
+            } else {
+                this.removeInputListeners();
+            }
+        }
+
+        if (
+            prevProps.autoPlay !== this.props.autoPlay ||
+            prevProps.autoPlayInterval !== this.props.autoPlayInterval
+        ) {
+            this.scheduleSlideshow();
+        }
+
+        if (this.thumbnailsList && prevState.imageIndex !== imageIndex) {
+            this.thumbnailsList.scrollToIndex({
+                index: imageIndex,
+                viewPosition: 0.5,
+            });
+        }
+    }
+
+    componentWillUnmount() {
+        Dimensions.removeEventListener('change', this.onDimensionsChange);
+        this.stopSlideshow();
+        this.removeInputListeners();
+        this.gestures.stop();
+    }
+
+    // Returns images with their cached sizes and meta
+    onNextImagesReceived(
+        nextImages: Array<ImageType>,
+        imageIndex: number = 0
+    ): Array<ImageType> {
+        const imageKeys = getImageKeys(nextImages, this.props.keyExtractor);
+        const images = this.getImagesWithMeta(nextImages, imageKeys);
+
+        this.removeStaleMeta(imageKeys);
+        this.imageInitialParams = this.getInitialParams(images);
+        this.startReachedKey = null;
+        this.endReachedKey = null;
+
+        const {scale, translate} = this.imageInitialParams[imageIndex] || {
+            scale: 1,
+            translate: {x: 0, y: 0},
+        };
+
+        this.setState(
+            {
+                images,
+                imageKeys,
+                imageIndex,
+                imageScale: scale,
+                imageTranslate: translate,
+                isFlatListRerendered: false,
+            },
+            () => {
+                if (this.state.isVisible) {
+                    this.preloadImages(imageIndex);
+                    this.checkEndsReached(imageIndex);
+                    this.scheduleSlideshow();
+                    this.announceImage(imageIndex);
+                }
+            }
+        );
 
         this.imageScaleValue.setValue(scale);
         this.imageTranslateValue.setValue(translate);
+        this.imageRotationValue.setValue(
+            (images[imageIndex] && images[imageIndex].rotation) || 0
+        );
+
+        return images;
+    }
+
+    /**
+     * Recalculate images params for the new screen size (e.g. device rotated)
+     * keeping current image and its zoom relative to the fitted size
+     */
+    onDimensionsChange({window}: {window: SizeType}) {
+        const {images, imageIndex, screenSize} = this.state;
+        const {width, height} = window;
+
+        if (width === screenSize.width && height === screenSize.height) {
+            return;
+        }
+
+        const {scale, translate} = this.gestures.getCurrentTransform();
+        const zoom = scale / this.getInitialScale();
+        const screenCenter = {
+            x: screenSize.width / 2,
+            y: screenSize.height / 2,
+        };
+
+        this.pendingImageIndex = imageIndex;
+        this.imageInitialParams = this.getInitialParams(images, window);
+
+        this.setState({screenSize: {width, height}}, () => {
+            // keep the same point of the image in the center of the screen
+            const {
+                scale: nextScale,
+                translate: nextTranslate,
+            } = this.getTransformController().zoom(
+                {scale, translate},
+                zoom * this.getInitialScale(),
+                screenCenter,
+                {x: width / 2, y: height / 2}
+            );
+
+            this.imageScaleValue.setValue(nextScale);
+            this.imageTranslateValue.setValue(nextTranslate);
+
+            this.setScrollEnabled(
+                scalesAreEqual(nextScale, this.getInitialScale())
+            );
+            this.setState({
+                imageScale: nextScale,
+                imageTranslate: nextTranslate,
+            });
+
+            if (this.flatList) {
+                this.flatList.scrollToIndex({
+                    index: imageIndex,
+                    animated: false,
+                });
+            }
+        });
     }
 
     onFlatListRender(flatList: Node) {
         const {imageIndex, isFlatListRerendered} = this.state;
 
+        this.flatList = flatList;
+
         if (flatList && !isFlatListRerendered) {
             this.setState({
                 isFlatListRerendered: true,
@@ -367,31 +794,134 @@ export default class ImageView extends Component<PropsType> {
     }
 
     onNextImage(event: EventType) {
-        const {imageIndex} = this.state;
+        const {imageIndex, screenSize} = this.state;
         const {x} = event.nativeEvent.contentOffset || {x: 0};
 
-        const nextImageIndex = Math.round(x / screenWidth);
+        // loading pages are out of images range, so they are not selected
+        const nextImageIndex =
+            Math.round(x / screenSize.width) - this.getStartPagesNum();
 
-        this.isScrolling = x % screenWidth > 10;
+        this.isScrolling = x % screenSize.width > 10;
 
-        if (imageIndex !== nextImageIndex && nextImageIndex >= 0) {
-            const nextImageScale = this.getInitialScale(nextImageIndex);
-            const nextImageTranslate = this.getInitialTranslate(nextImageIndex);
+        // Skip images list is scrolled over to the image it was asked for
+        if (this.pendingImageIndex !== null) {
+            if (nextImageIndex !== this.pendingImageIndex) {
+                return;
+            }
 
-            this.setState({
-                imageIndex: nextImageIndex,
-                imageScale: nextImageScale,
-                imageTranslate: nextImageTranslate,
+            this.pendingImageIndex = null;
+        }
+
+        const loopImageIndex = this.getLoopImageIndex(nextImageIndex);
+
+        // copy of the image at the list end is reached, so list jumps
+        // to the original image, which looks exactly the same
+        if (loopImageIndex !== null && !this.isScrolling) {
+            this.goToIndex(loopImageIndex, false);
+
+            return;
+        }
+
+        if (imageIndex !== nextImageIndex) {
+            this.setImageIndex(nextImageIndex);
+        }
+    }
+
+    onSlideshowTick() {
+        const {images, imageIndex, screenSize} = this.state;
+        const {_value: scale} = this.imageScaleValue;
+
+        this.slideshowTimer = null;
+
+        // zoomed image is being looked at, so slideshow waits for it
+        if (!scalesAreEqual(scale, this.getInitialScale())) {
+            this.scheduleSlideshow();
+        } else if (imageIndex < images.length - 1) {
+            this.goToIndex(imageIndex + 1);
+        } else if (this.props.isLoadingEnd) {
+            this.scheduleSlideshow();
+        } else if (this.isLoopEnabled() && this.flatList) {
+            this.flatList.scrollToOffset({
+                offset:
+                    (images.length + this.getStartPagesNum()) *
+                    screenSize.width,
+                animated: true,
             });
+        } else if (typeof this.props.onSlideshowEnd === 'function') {
+            this.props.onSlideshowEnd();
+        }
+    }
+
+    onScrollBeginDrag() {
+        this.pendingImageIndex = null;
+    }
+
+    // Actions for screen reader users, they do the same as gestures
+    onAccessibilityAction({nativeEvent: {actionName}}: Object) {
+        switch (actionName) {
+            case 'next':
+                this.next();
+                break;
+            case 'previous':
+                this.prev();
+                break;
+            case 'zoomIn':
+                this.zoomIn();
+                break;
+            case 'zoomOut':
+                this.zoomOut();
+                break;
+            case 'close':
+            case 'escape':
+                this.close();
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Zoomed image is zoomed out first, then viewer is closed
+    onBackPress(): boolean {
+        const {_value: scale} = this.imageScaleValue;
+
+        if (!scalesAreEqual(scale, this.getInitialScale())) {
+            this.resetZoom();
+        } else {
+            this.close();
+        }
 
-            this.imageScaleValue.setValue(nextImageScale);
-            this.imageTranslateValue.setValue(nextImageTranslate);
+        return true;
+    }
+
+    // Key is a string or an event with key (e.g. from keyboard or TV remote)
+    onKeyEvent(event: string | {key: string}) {
+        const key = typeof event === 'string' ? event : event && event.key;
+
+        switch (key) {
+            case 'ArrowRight':
+                this.next();
+                break;
+            case 'ArrowLeft':
+                this.prev();
+                break;
+            case '+':
+            case '=':
+                this.zoomIn();
+                break;
+            case '-':
+                this.zoomOut();
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            default:
+                break;
         }
     }
 
     onGestureStart(event: EventType) {
-        this.initialTouches = event.touches;
-        this.currentTouchesNum = event.touches.length;
+        this.stopSlideshow();
+        this.gestures.start(event.touches);
     }
 
     /**
@@ -399,182 +929,656 @@ export default class ImageView extends Component<PropsType> {
      * then disable scroll (for ScrollView)
      */
     onGestureMove(event: EventType, gestureState: GestureState) {
-        if (this.isScrolling) {
-            return;
-        }
-
-        if (this.currentTouchesNum === 1 && event.touches.length === 2) {
-            this.initialTouches = event.touches;
-        }
-
-        const {images, imageIndex, imageScale, imageTranslate} = this.state;
         const {touches} = event;
-        const {x, y} = imageTranslate;
         const {dx, dy} = gestureState;
-        const imageInitialScale = this.getInitialScale();
-        const {height} = images[imageIndex];
 
-        if (imageScale !== imageInitialScale) {
-            this.imageTranslateValue.x.setValue(x + dx);
-        }
+        // swiping to the next page is not a long press either
+        if (this.isScrolling) {
+            this.gestures.cancelLongPress();
 
-        // Do not allow to move image verticaly untill it fits to the screen
-        if (imageScale * height > screenHeight) {
-            this.imageTranslateValue.y.setValue(y + dy);
+            return;
         }
 
-        // if image not scaled and fits to the screen
+        const {screenSize} = this.state;
+        const {
+            scrollFreezeDistance,
+            swipeToCloseEnabled,
+            backgroundOpacityMultiplier,
+        } = this.settings;
+        const scrollEnabled = Math.abs(dy) < scrollFreezeDistance;
+
+        this.setScrollEnabled(scrollEnabled);
+        this.gestures.move(touches, dx, dy);
+
+        const {gestureOrigin} = this.gestures;
+        const {scale: imageScale, translate: {x, y}} = gestureOrigin;
+        const moveX = dx - gestureOrigin.dx;
+        const moveY = dy - gestureOrigin.dy;
+        const imageInitialScale = this.getInitialScale();
+        const {height} = this.getTransformController().getScaledSize(
+            imageInitialScale
+        );
+
+        // if image not scaled and fits to the screen, it is dragged to close
         if (
+            swipeToCloseEnabled &&
+            dy &&
+            touches.length < 2 &&
             scalesAreEqual(imageScale, imageInitialScale) &&
-            height * imageInitialScale < screenHeight
+            Math.round(height) <= screenSize.height
         ) {
             const backgroundOpacity = Math.abs(
-                dy * BACKGROUND_OPACITY_MULTIPLIER
+                dy * backgroundOpacityMultiplier
             );
+            const progress = Math.min(
+                Math.abs(dy) / this.settings.swipeToCloseDistance,
+                1
+            );
+
+            this.isDismissing = true;
+
+            // image follows the finger horizontally once scroll is frozen
+            if (!scrollEnabled) {
+                this.imageTranslateValue.x.setValue(x + moveX);
+            }
 
-            this.imageTranslateValue.y.setValue(y + dy);
+            this.imageTranslateValue.y.setValue(y + moveY);
+            this.imageScaleValue.setValue(
+                imageInitialScale * (1 - (1 - DISMISS_MIN_SCALE) * progress)
+            );
             this.modalBackgroundOpacity.setValue(
                 backgroundOpacity > 1 ? 1 : backgroundOpacity
             );
+            this.callDismissProgress(progress);
         }
 
-        const currentDistance = getDistance(touches);
-        const initialDistance = getDistance(this.initialTouches);
+        this.callZoomCallback(
+            'onZoomChange',
+            this.gestures.getCurrentTransform()
+        );
+    }
 
-        const scrollEnabled = Math.abs(dy) < FREEZE_SCROLL_DISTANCE;
-        this.setState({scrollEnabled});
+    // Terminated gesture doesn't have the release event
+    onGestureRelease(event: ?Object, gestureState: GestureState) {
+        this.scheduleSlideshow();
 
-        if (!initialDistance) {
-            return;
-        }
+        if (this.isDismissing) {
+            this.gestures.cancelLongPress();
+            this.onDismissRelease(gestureState.dy, gestureState.vy);
 
-        if (touches.length < 2) {
             return;
         }
 
-        let nextScale = getScale(currentDistance, initialDistance) * imageScale;
-
-        if (nextScale < imageInitialScale) {
-            nextScale = imageInitialScale;
-        } else if (nextScale > SCALE_MAXIMUM) {
-            nextScale = SCALE_MAXIMUM;
-        }
-
-        this.imageScaleValue.setValue(nextScale);
-        this.currentTouchesNum = event.touches.length;
+        this.gestures.release(event, gestureState);
     }
 
-    onGestureRelease(event: EventType, gestureState: GestureState) {
-        const {imageScale} = this.state;
-
-        let {_value: scale} = this.imageScaleValue;
-        const {_value: modalBackgroundOpacity} = this.modalBackgroundOpacity;
-
-        const {dx, dy, vy} = gestureState;
-        const imageInitialScale = this.getInitialScale();
-        const imageInitialTranslate = this.getInitialTranslate();
-
-        // Position haven't changed, so it just tap
-        if (event && !dx && !dy && scalesAreEqual(imageScale, scale)) {
-            // Double tap timer is launced, its double tap
+    // Image is going to stay with the transform after gesture or zoom
+    onTransformEnd({scale, translate}: TransformType) {
+        this.setScrollEnabled(scalesAreEqual(scale, this.getInitialScale()));
+        this.setState({imageScale: scale, imageTranslate: translate});
+    }
 
-            if (this.doubleTapTimer) {
-                clearTimeout(this.doubleTapTimer);
-                this.doubleTapTimer = null;
+    /**
+     * Dragged image is closed if it is moved far or fast enough,
+     * otherwise it gets back to its place
+     */
+    onDismissRelease(dy: number, vy: number) {
+        const {images, imageIndex, screenSize} = this.state;
+        const {swipeToCloseVelocity, swipeToCloseDistance} = this.settings;
+        const scale = this.getInitialScale();
+        const translate = this.getInitialTranslate();
 
-                scale = scalesAreEqual(imageInitialScale, scale)
-                    ? scale * SCALE_MAX_MULTIPLIER
-                    : imageInitialScale;
+        this.isDismissing = false;
 
-                Animated.timing(this.imageScaleValue, {
-                    toValue: scale,
-                    duration: 300,
-                }).start();
+        if (
+            Math.abs(vy) >= swipeToCloseVelocity ||
+            Math.abs(dy) >= swipeToCloseDistance
+        ) {
+            this.callDismissProgress(1);
 
-                this.togglePanels(scale === imageInitialScale);
+            if (this.hasOriginRect(images[imageIndex])) {
+                // image flies back to its thumbnail from where it was released
+                this.close();
             } else {
-                this.doubleTapTimer = setTimeout(() => {
-                    this.togglePanels();
-                    this.doubleTapTimer = null;
-                }, 200);
+                Animated.timing(this.imageTranslateValue.y, {
+                    toValue:
+                        this.imageTranslateValue.y._value +
+                        Math.sign(dy || vy) * screenSize.height,
+                    duration: 150,
+                    useNativeDriver: true,
+                }).start(() => {
+                    this.close();
+                });
             }
+
+            return;
         }
 
-        const {x, y} = this.calcultateNextTranslate(dx, dy, scale);
-        const scrollEnabled =
-            scale === this.getInitialScale() &&
-            x === imageInitialTranslate.x &&
-            y === imageInitialTranslate.y;
-
-        Animated.parallel(
-            [
-                modalBackgroundOpacity > 0
-                    ? Animated.timing(this.modalBackgroundOpacity, {
-                          toValue: 0,
-                          duration: 100,
-                      })
-                    : null,
-                Animated.timing(this.imageTranslateValue.x, {
-                    toValue: x,
-                    duration: 100,
-                }),
-                Animated.timing(this.imageTranslateValue.y, {
-                    toValue: y,
-                    duration: 100,
-                }),
-            ].filter(Boolean)
-        ).start();
+        Animated.parallel([
+            Animated.timing(this.modalBackgroundOpacity, {
+                toValue: 0,
+                duration: 100,
+                useNativeDriver: true,
+            }),
+            Animated.timing(this.imageScaleValue, {
+                toValue: scale,
+                duration: 100,
+                useNativeDriver: true,
+            }),
+            Animated.timing(this.imageTranslateValue, {
+                toValue: translate,
+                duration: 100,
+                useNativeDriver: true,
+            }),
+        ]).start();
 
-        // Close modal with animation if image not scaled and high vertical gesture speed
-        if (
-            scale === imageInitialScale &&
-            Math.abs(vy) >= IMAGE_SPEED_FOR_CLOSE
-        ) {
-            Animated.timing(this.imageTranslateValue.y, {
-                toValue: y + 400 * vy,
-                duration: 150,
-            }).start(() => {
-                this.close();
-            });
-        }
+        this.callDismissProgress(0);
+        this.setScrollEnabled(true);
+        this.setState({imageScale: scale, imageTranslate: translate});
+    }
 
-        this.setState({
-            imageScale: scale,
-            imageTranslate: {x, y},
-            scrollEnabled,
-        });
+    /**
+     * Full size image fades in over its preview,
+     * then preview and loading indicator are removed
+     */
+    onImageLoaded(key: string) {
+        Animated.timing(this.getImageOpacity(key), {
+            toValue: 1,
+            duration: 200,
+            useNativeDriver: true,
+        }).start((): void => this.updateImageMeta(key, {loaded: true}));
     }
 
-    onImageLoaded(index: number) {
-        const {images} = this.state;
+    onImageProgress(key: string, {loaded, total}: Object) {
+        const meta = this.imagesMeta[key] || {};
+        const progress = total > 0 ? Math.round(loaded / total * 100) / 100 : 0;
 
-        images[index] = {...images[index], loaded: true};
+        if (!progress || meta.progress === progress) {
+            return;
+        }
 
-        this.setState({images});
+        this.updateImageMeta(key, {progress});
     }
 
-    setSizeForImages(nextImages: Array<ImageType>): Array<ImageType> {
-        if (nextImages.length === 0) {
-            return [];
-        }
+    onImagesSizeReceived(sizes: Array<Object>) {
+        sizes.forEach(({key, width, height, error}) => {
+            if (error) {
+                this.setImageError(key, error);
 
-        const {images} = this.state;
+                return;
+            }
 
-        return images.map((image, index) => {
-            const nextImageSize = nextImages.find(
-                nextImage => nextImage.index === index
-            );
+            this.updateImageMeta(key, {width, height});
+
+            // image could be removed or moved while its size was fetched
+            const {imageKeys, imageIndex} = this.state;
+            const index = imageKeys.indexOf(key);
 
-            if (nextImageSize) {
-                image.width = nextImageSize.width;
-                image.height = nextImageSize.height;
+            if (index === -1) {
+                return;
             }
 
-            return image;
+            this.imageInitialParams[index] = this.getTransformController({
+                ...this.state.images[index],
+                width,
+                height,
+            }).getInitialTransform();
+
+            if (index === imageIndex) {
+                const {scale, translate} = this.imageInitialParams[index];
+
+                this.imageScaleValue.setValue(scale);
+                this.imageTranslateValue.setValue(translate);
+                this.setState({imageScale: scale, imageTranslate: translate});
+            }
         });
     }
 
-    getInitialScale(index: number): number {
+    setImageError(key: string, error: any) {
+        this.updateImageMeta(key, {error: error || true});
+
+        if (typeof this.props.onImageError === 'function') {
+            this.props.onImageError(this.state.imageKeys.indexOf(key), error);
+        }
+    }
+
+    /**
+     * Load image again, its size is fetched again as well
+     * if it wasn't received before
+     */
+    retryImage(key: string) {
+        const {images, imageKeys} = this.state;
+        const image = images[imageKeys.indexOf(key)];
+
+        if (!image) {
+            return;
+        }
+
+        this.updateImageMeta(key, {
+            error: null,
+            progress: 0,
+            retryCount: (image.retryCount || 0) + 1,
+        });
+
+        if (hasSize(image) || !getImageUri(image)) {
+            return;
+        }
+
+        getImageSize(image, key).then((size: Object): void =>
+            this.onImagesSizeReceived([size])
+        );
+    }
+
+    updateImageMeta(key: string, meta: Object) {
+        this.imagesMeta[key] = {...this.imagesMeta[key], ...meta};
+
+        this.setState(({images, imageKeys}) => ({
+            images: images.map(
+                (image: ImageType, index: number): ImageType =>
+                    imageKeys[index] === key ? {...image, ...meta} : image
+            ),
+        }));
+    }
+
+    // Meta of images which are not in the list anymore is dropped
+    removeStaleMeta(imageKeys: Array<string>) {
+        const isStale = (key: string): boolean => imageKeys.indexOf(key) === -1;
+
+        Object.keys(this.imagesMeta)
+            .filter(isStale)
+            .forEach((key: string) => {
+                delete this.imagesMeta[key];
+            });
+
+        Object.keys(this.imageOpacityValues)
+            .filter(isStale)
+            .forEach((key: string) => {
+                delete this.imageOpacityValues[key];
+            });
+    }
+
+    getImagesWithMeta(
+        images: Array<ImageType>,
+        imageKeys: Array<string>
+    ): Array<ImageType> {
+        return images.map((image: ImageType, index: number): ImageType => ({
+            ...getImageWithCachedSize(image),
+            ...this.imagesMeta[imageKeys[index]],
+        }));
+    }
+
+    /**
+     * Images are changed while viewer is open, current image keeps
+     * its zoom if it is still in the list, otherwise the image
+     * which took its place is shown
+     */
+    updateImages(nextImages: Array<ImageType>, callback: () => void) {
+        const {imageKeys, imageIndex, screenSize} = this.state;
+        const nextImageKeys = getImageKeys(nextImages, this.props.keyExtractor);
+        const images = this.getImagesWithMeta(nextImages, nextImageKeys);
+        const keptImageIndex = nextImageKeys.indexOf(imageKeys[imageIndex]);
+        const nextImageIndex =
+            keptImageIndex === -1
+                ? Math.min(imageIndex, images.length - 1)
+                : keptImageIndex;
+
+        if (images.length === 0) {
+            this.hide();
+
+            return;
+        }
+
+        this.removeStaleMeta(nextImageKeys);
+        this.imageInitialParams = this.getInitialParams(images, screenSize);
+
+        this.setState(
+            {
+                images,
+                imageKeys: nextImageKeys,
+                imageIndex: nextImageIndex,
+            },
+            () => {
+                if (nextImageIndex !== imageIndex && this.flatList) {
+                    this.pendingImageIndex = nextImageIndex;
+                    this.flatList.scrollToIndex({
+                        index: nextImageIndex,
+                        animated: false,
+                    });
+                }
+
+                if (keptImageIndex === -1) {
+                    this.setImageIndex(nextImageIndex);
+                } else {
+                    this.preloadImages(nextImageIndex);
+                    this.checkEndsReached(nextImageIndex);
+
+                    // images added before the current one moved it
+                    if (
+                        nextImageIndex !== imageIndex &&
+                        typeof this.props.onImageChange === 'function'
+                    ) {
+                        this.props.onImageChange(nextImageIndex);
+                    }
+                }
+
+                callback();
+            }
+        );
+    }
+
+    /**
+     * Fetch sizes and prefetch images around the current one: size of the
+     * current image is fetched right away, then next and previous images
+     * are loaded by turns
+     */
+    preloadImages(imageIndex: number) {
+        const {images, imageKeys} = this.state;
+        const {preloadAhead, preloadBehind} = this.settings;
+        const indexes = [];
+
+        for (let i = 1; i <= Math.max(preloadAhead, preloadBehind); i += 1) {
+            if (i <= preloadAhead) {
+                indexes.push(imageIndex + i);
+            }
+
+            if (i <= preloadBehind) {
+                indexes.push(imageIndex - i);
+            }
+        }
+
+        const canBePreloaded = (index: number): boolean =>
+            index >= 0 &&
+            index < images.length &&
+            !isMediaItem(images[index]) &&
+            Boolean(getImageUri(images[index])) &&
+            !images[index].error;
+        const windowKeys = indexes.map(
+            (index: number): string => imageKeys[index]
+        );
+
+        // Images which left the window are not requested anymore,
+        // their downloads don't hold places of the new ones
+        Object.keys(this.preloads).forEach((key: string) => {
+            if (windowKeys.indexOf(key) === -1) {
+                delete this.preloads[key];
+            }
+        });
+
+        this.preloadQueue = indexes.filter(
+            (index: number): boolean =>
+                canBePreloaded(index) && !this.preloads[imageKeys[index]]
+        );
+
+        // current image is hidden until its size is known,
+        // so it doesn't wait for the neighbors to be downloaded
+        if (canBePreloaded(imageIndex)) {
+            this.preloadImage(images[imageIndex], imageKeys[imageIndex], false);
+        }
+
+        this.runPreloadQueue();
+    }
+
+    runPreloadQueue() {
+        while (
+            Object.keys(this.preloads).length <
+                this.settings.preloadConcurrency &&
+            this.preloadQueue.length
+        ) {
+            const index = this.preloadQueue.shift();
+            const key = this.state.imageKeys[index];
+
+            this.preloads[key] = true;
+            this.preloadImage(this.state.images[index], key, true).then(() => {
+                delete this.preloads[key];
+                this.runPreloadQueue();
+            });
+        }
+    }
+
+    /**
+     * Size is fetched before the image is downloaded, so image is laid out
+     * and its preview is shown right away. Current image is not prefetched,
+     * it is downloaded by its own Image component
+     */
+    preloadImage(
+        image: ImageType,
+        key: string,
+        shouldPrefetch: boolean
+    ): Promise<any> {
+        const sizeRequest = hasSize(image)
+            ? Promise.resolve()
+            : getImageSize(image, key).then((size: Object): void =>
+                  this.onImagesSizeReceived([size])
+              );
+
+        return sizeRequest.then(
+            (): ?Promise<any> => (shouldPrefetch ? prefetchImage(image) : null)
+        );
+    }
+
+    setImageIndex(nextImageIndex: number) {
+        const {images} = this.state;
+
+        if (nextImageIndex < 0 || nextImageIndex >= images.length) {
+            return;
+        }
+
+        const nextImageScale = this.getInitialScale(nextImageIndex);
+        const nextImageTranslate = this.getInitialTranslate(nextImageIndex);
+
+        this.setScrollEnabled(true);
+        this.setState({
+            imageIndex: nextImageIndex,
+            imageScale: nextImageScale,
+            imageTranslate: nextImageTranslate,
+        });
+
+        this.imageScaleValue.setValue(nextImageScale);
+        this.imageTranslateValue.setValue(nextImageTranslate);
+        this.imageRotationValue.setValue(this.getImageRotation(nextImageIndex));
+        this.preloadImages(nextImageIndex);
+        this.checkEndsReached(nextImageIndex);
+        this.scheduleSlideshow();
+        this.announceImage(nextImageIndex);
+
+        if (typeof this.props.onImageChange === 'function') {
+            this.props.onImageChange(nextImageIndex);
+        }
+    }
+
+    /**
+     * Ask for more images when current one is close to the list end,
+     * only once for the same first or last image
+     */
+    checkEndsReached(imageIndex: number) {
+        const {onStartReached, onEndReached} = this.props;
+        const {onEndReachedThreshold: threshold} = this.settings;
+        const {imageKeys} = this.state;
+        const firstKey = imageKeys[0];
+        const lastKey = imageKeys[imageKeys.length - 1];
+
+        if (
+            typeof onStartReached === 'function' &&
+            imageIndex <= threshold &&
+            this.startReachedKey !== firstKey
+        ) {
+            this.startReachedKey = firstKey;
+            onStartReached();
+        }
+
+        if (
+            typeof onEndReached === 'function' &&
+            imageIndex >= imageKeys.length - 1 - threshold &&
+            this.endReachedKey !== lastKey
+        ) {
+            this.endReachedKey = lastKey;
+            onEndReached();
+        }
+    }
+
+    /**
+     * Slideshow moves to the next image after interval,
+     * it is restarted when image is changed or touch is released
+     */
+    scheduleSlideshow() {
+        this.stopSlideshow();
+
+        if (this.props.autoPlay && this.state.isVisible) {
+            this.slideshowTimer = setTimeout(
+                this.onSlideshowTick,
+                this.settings.autoPlayInterval
+            );
+        }
+    }
+
+    stopSlideshow() {
+        if (this.slideshowTimer) {
+            clearTimeout(this.slideshowTimer);
+            this.slideshowTimer = null;
+        }
+    }
+
+    isLoopEnabled(
+        props: PropsType = this.props,
+        images: Array<ImageType> = this.state.images
+    ): boolean {
+        return Boolean(props.loop) && images.length > 1;
+    }
+
+    // Index of the original image for its copy at the list end
+    getLoopImageIndex(index: number): ?number {
+        const {isLoadingStart, isLoadingEnd} = this.props;
+        const {images} = this.state;
+
+        if (!this.isLoopEnabled()) {
+            return null;
+        }
+
+        if (index === -1 && !isLoadingStart) {
+            return images.length - 1;
+        }
+
+        if (index === images.length && !isLoadingEnd) {
+            return 0;
+        }
+
+        return null;
+    }
+
+    getAccessibilityLabel(index: number): string {
+        const {getAccessibilityLabel} = this.props;
+        const {images} = this.state;
+
+        return getAccessibilityLabel(images[index], {
+            index,
+            total: images.length,
+        });
+    }
+
+    getAccessibilityActions(index: number): Array<Object> {
+        const {images, imageIndex} = this.state;
+        const actions = [];
+
+        // only current image can be zoomed or scrolled from
+        if (index !== imageIndex) {
+            return actions;
+        }
+
+        if (index < images.length - 1) {
+            actions.push({name: 'next', label: 'Next image'});
+        }
+
+        if (index > 0) {
+            actions.push({name: 'previous', label: 'Previous image'});
+        }
+
+        if (this.isZoomable(index)) {
+            actions.push(
+                {name: 'zoomIn', label: 'Zoom in'},
+                {name: 'zoomOut', label: 'Zoom out'}
+            );
+        }
+
+        actions.push({name: 'close', label: 'Close'}, {name: 'escape'});
+
+        return actions;
+    }
+
+    announceImage(index: number) {
+        if (
+            this.state.images[index] &&
+            typeof AccessibilityInfo.announceForAccessibility === 'function'
+        ) {
+            AccessibilityInfo.announceForAccessibility(
+                this.getAccessibilityLabel(index)
+            );
+        }
+    }
+
+    addInputListeners() {
+        const {handleBackPress, subscribeToKeyEvents} = this.props;
+
+        this.removeInputListeners();
+
+        if (handleBackPress) {
+            BackHandler.addEventListener('hardwareBackPress', this.onBackPress);
+        }
+
+        if (typeof subscribeToKeyEvents === 'function') {
+            this.unsubscribeFromKeyEvents = subscribeToKeyEvents(
+                this.onKeyEvent
+            );
+        }
+    }
+
+    removeInputListeners() {
+        BackHandler.removeEventListener('hardwareBackPress', this.onBackPress);
+
+        if (typeof this.unsubscribeFromKeyEvents === 'function') {
+            this.unsubscribeFromKeyEvents();
+        }
+
+        this.unsubscribeFromKeyEvents = null;
+    }
+
+    // Loading page or copy of the last image is placed before images
+    getStartPagesNum(
+        props: PropsType = this.props,
+        images: Array<ImageType> = this.state.images
+    ): number {
+        return props.isLoadingStart || this.isLoopEnabled(props, images)
+            ? 1
+            : 0;
+    }
+
+    getImageOpacity(key: string): any {
+        if (!this.imageOpacityValues[key]) {
+            this.imageOpacityValues[key] = new Animated.Value(0);
+        }
+
+        return this.imageOpacityValues[key];
+    }
+
+    getInitialParams(
+        images: Array<ImageType>,
+        screenSize: SizeType = this.state.screenSize
+    ): Array<{scale: number, translate: TranslateType}> {
+        return images.map((image: ImageType): TransformType =>
+            this.getTransformController(image, screenSize).getInitialTransform()
+        );
+    }
+
+    getItemLayout(data: Array<ImageType>, index: number): any {
+        const {width} = this.state.screenSize;
+
+        return {
+            length: width,
+            offset: width * (index + this.getStartPagesNum()),
+            index,
+        };
+    }
+
+    getInitialScale(index: number): number {
         const imageIndex = index !== undefined ? index : this.state.imageIndex;
 
         return this.imageInitialParams[imageIndex].scale;
@@ -590,8 +1594,8 @@ export default class ImageView extends Component<PropsType> {
         image: ImageType,
         index: number
     ): {width: number, height: number, transform: any} {
-        const {imageIndex} = this.state;
-        const {width, height} = image;
+        const {imageIndex, screenSize} = this.state;
+        const {width, height} = getItemSize(image, screenSize);
 
         if (!width || !height) {
             return {opacity: 0};
@@ -599,7 +1603,7 @@ export default class ImageView extends Component<PropsType> {
 
         // very strange caching, fix it with changing size to 1 pixel
         const traslateValue = new Animated.ValueXY(
-            calculateInitalTranslate(width, height + 1)
+            calculateInitalTranslate(width, height + 1, screenSize)
         );
 
         const transform =
@@ -612,57 +1616,340 @@ export default class ImageView extends Component<PropsType> {
                 ? this.imageScaleValue
                 : this.getInitialScale(index);
 
-        transform.push({scale});
+        const rotate =
+            index === imageIndex
+                ? this.imageRotationValue.interpolate({
+                      inputRange: [0, 360],
+                      outputRange: ['0deg', '360deg'],
+                  })
+                : `${image.rotation || 0}deg`;
+
+        transform.push({scale}, {rotate});
 
         return {width, height, transform};
     }
 
-    calcultateNextTranslate(
-        dx: number,
-        dy: number,
-        scale: number
-    ): {x: number, y: number} {
-        const {images, imageIndex, imageTranslate} = this.state;
-        const {x, y} = imageTranslate;
-        const {width, height} = images[imageIndex];
-        const {imageInitialScale} = this.getInitialScale();
-
-        const getTranslate = (axis: string): number => {
-            const imageSize = axis === 'x' ? width : height;
-            const screenSize = axis === 'x' ? screenWidth : screenHeight;
-            const leftLimit = (scale * imageSize - imageSize) / 2;
-            const rightLimit = screenSize - imageSize - leftLimit;
-
-            let nextTranslate = axis === 'x' ? x + dx : y + dy;
-
-            // Less than the screen
-            if (screenSize > scale * imageSize) {
-                if (width >= height) {
-                    nextTranslate = (screenSize - imageSize) / 2;
-                } else {
-                    nextTranslate =
-                        screenSize / 2 -
-                        imageSize * (scale / imageInitialScale) / 2;
-                }
+    getDoubleTapScale(scale: number): number {
+        return this.getTransformController().getNextZoomStep(
+            scale,
+            this.settings.doubleTapZoomSteps
+        );
+    }
 
-                return nextTranslate;
-            }
+    getMinScale(): number {
+        return this.getTransformController().getMinScale();
+    }
 
-            if (nextTranslate > leftLimit) {
-                nextTranslate = leftLimit;
-            }
+    getMaxScale(): number {
+        return this.getTransformController().getMaxScale();
+    }
 
-            if (nextTranslate < rightLimit) {
-                nextTranslate = rightLimit;
-            }
+    /**
+     * Geometry of the image on the screen, current image by default,
+     * media items keep the scale they fit the screen with
+     */
+    getTransformController(
+        image: ImageType = this.state.images[this.state.imageIndex] || {},
+        screenSize: SizeType = this.state.screenSize
+    ): TransformController {
+        const isMedia = isMediaItem(image);
+
+        return new TransformController({
+            containerSize: screenSize,
+            imageSize: getItemSize(image, screenSize),
+            rotation: image.rotation || 0,
+            minScale: isMedia ? 1 : this.settings.minScale,
+            maxScale: isMedia ? 0 : this.settings.maxScale,
+        });
+    }
 
-            return nextTranslate;
-        };
+    isZoomable(index: number = this.state.imageIndex): boolean {
+        const image = this.state.images[index];
+
+        return Boolean(image) && !isMediaItem(image);
+    }
+
+    callZoomCallback(
+        name: 'onZoomChange' | 'onZoomEnd',
+        {scale, translate}: TransformType
+    ) {
+        const callback = this.props[name];
+
+        if (typeof callback === 'function') {
+            callback({scale, translate, index: this.state.imageIndex});
+        }
+    }
+
+    // Tap callbacks are called with index of the current image
+    getTapCallback(
+        name: 'onSingleTap' | 'onDoubleTap' | 'onLongPress'
+    ): ?TapCallbackType {
+        const callback = this.props[name];
+        const {images, imageIndex} = this.state;
+
+        if (typeof callback !== 'function' || !images[imageIndex]) {
+            return null;
+        }
+
+        return (event: GestureTapEventType): ?boolean =>
+            callback({...event, index: imageIndex});
+    }
+
+    setScrollEnabled(scrollEnabled: boolean) {
+        if (scrollEnabled === this.scrollEnabled) {
+            return;
+        }
+
+        const scrollResponder =
+            this.flatList && this.flatList.getScrollResponder();
+
+        this.scrollEnabled = scrollEnabled;
+
+        if (scrollResponder) {
+            scrollResponder.setNativeProps({scrollEnabled});
+        }
+    }
+
+    callDismissProgress(progress: number) {
+        if (typeof this.props.onDismissProgress === 'function') {
+            this.props.onDismissProgress(progress);
+        }
+    }
+
+    getImageRotation(index: number): number {
+        const image = this.state.images[index];
+
+        return (image && image.rotation) || 0;
+    }
+
+    /**
+     * Rotate image by degrees rounded to 90 degrees steps,
+     * current image is zoomed out to fit the screen after rotation
+     */
+    rotate(index: number = this.state.imageIndex, degrees: number = 90) {
+        const {images, imageKeys, imageIndex} = this.state;
+        const step = Math.round(degrees / 90) * 90;
+
+        if (!images[index] || !step || !this.isZoomable(index)) {
+            return;
+        }
+
+        const rotation = this.getImageRotation(index) + step;
+        const initialParams = this.getTransformController({
+            ...images[index],
+            rotation,
+        }).getInitialTransform();
+
+        this.imageInitialParams[index] = initialParams;
+        this.updateImageMeta(imageKeys[index], {rotation});
+
+        if (index === imageIndex) {
+            const {scale, translate} = initialParams;
+
+            Animated.parallel([
+                Animated.timing(this.imageRotationValue, {
+                    toValue: rotation,
+                    duration: 300,
+                    useNativeDriver: true,
+                }),
+                Animated.timing(this.imageScaleValue, {
+                    toValue: scale,
+                    duration: 300,
+                    useNativeDriver: true,
+                }),
+                Animated.timing(this.imageTranslateValue, {
+                    toValue: translate,
+                    duration: 300,
+                    useNativeDriver: true,
+                }),
+            ]).start();
+
+            this.setScrollEnabled(true);
+            this.setState({imageScale: scale, imageTranslate: translate});
+        }
+
+        if (typeof this.props.onRotate === 'function') {
+            this.props.onRotate(index, normalizeRotation(rotation));
+        }
+    }
+
+    goToIndex(index: number, animated: boolean = true) {
+        const {images, imageIndex} = this.state;
+        const nextImageIndex = Math.min(Math.max(index, 0), images.length - 1);
+
+        if (nextImageIndex === imageIndex || !this.flatList) {
+            return;
+        }
+
+        this.pendingImageIndex = nextImageIndex;
+        this.flatList.scrollToIndex({index: nextImageIndex, animated});
+
+        // list doesn't report scroll which is not animated on every platform
+        if (!animated) {
+            this.setImageIndex(nextImageIndex);
+        }
+    }
+
+    next() {
+        this.goToIndex(this.state.imageIndex + 1);
+    }
+
+    prev() {
+        this.goToIndex(this.state.imageIndex - 1);
+    }
+
+    /**
+     * Zoom current image to the scale relative to its fitted size,
+     * keeping given screen point (center of the screen by default) in place
+     */
+    zoomTo(scale: number, point: ?TranslateType) {
+        const {width, height} = this.state.screenSize;
+        const nextScale = Math.min(
+            Math.max(scale * this.getInitialScale(), this.getMinScale()),
+            this.getMaxScale()
+        );
+
+        this.gestures.zoom(nextScale, point || {x: width / 2, y: height / 2});
+    }
+
+    resetZoom() {
+        this.zoomTo(1);
+    }
+
+    // Zoom in to the next double tap step
+    zoomIn() {
+        const {width, height} = this.state.screenSize;
+        const {_value: scale} = this.imageScaleValue;
+        const nextScale = this.getDoubleTapScale(scale);
+
+        if (nextScale > scale) {
+            this.gestures.zoom(nextScale, {x: width / 2, y: height / 2});
+        }
+    }
+
+    // Zoom out to the previous double tap step or to fit the screen
+    zoomOut() {
+        const {width, height} = this.state.screenSize;
+        const {_value: scale} = this.imageScaleValue;
+
+        if (scalesAreEqual(scale, this.getInitialScale())) {
+            return;
+        }
+
+        this.gestures.zoom(
+            this.getTransformController().getPrevZoomStep(
+                scale,
+                this.settings.doubleTapZoomSteps
+            ),
+            {x: width / 2, y: height / 2}
+        );
+    }
+
+    hasOriginRect(image: ?ImageType): boolean {
+        return Boolean(
+            image &&
+                !isMediaItem(image) &&
+                image.width &&
+                image.height &&
+                (image.originRect ||
+                    typeof this.props.onRequestOriginRect === 'function')
+        );
+    }
+
+    /**
+     * Rect of the image thumbnail on the screen
+     * which image is opened from and closed to
+     */
+    getOriginRect(image: ImageType, index: number): Promise<?RectType> {
+        const {onRequestOriginRect} = this.props;
+
+        if (image.originRect) {
+            return Promise.resolve(image.originRect);
+        }
+
+        // callback can throw or never answer, then image is opened
+        // and closed without the transition
+        const request = new Promise(resolve =>
+            resolve(onRequestOriginRect(index))
+        ).catch((): null => null);
+        const timeout = new Promise(resolve =>
+            setTimeout(() => resolve(null), ORIGIN_RECT_TIMEOUT)
+        );
+
+        return Promise.race([request, timeout]);
+    }
+
+    getTransitionAnimation(toValue: number, transform: TransformType): any {
+        return Animated.parallel([
+            Animated.timing(this.transitionAnimation, {
+                toValue,
+                duration: TRANSITION_DURATION,
+                useNativeDriver: true,
+            }),
+            Animated.timing(this.imageScaleValue, {
+                toValue: transform.scale,
+                duration: TRANSITION_DURATION,
+                useNativeDriver: true,
+            }),
+            Animated.timing(this.imageTranslateValue, {
+                toValue: transform.translate,
+                duration: TRANSITION_DURATION,
+                useNativeDriver: true,
+            }),
+        ]);
+    }
+
+    openFromOriginRect(image: ImageType, index: number) {
+        const initialParams = this.imageInitialParams[index];
 
-        return {x: getTranslate('x'), y: getTranslate('y')};
+        this.transitionAnimation.setValue(0);
+        // hide image until its origin is known
+        this.imageScaleValue.setValue(0);
+
+        this.getOriginRect(image, index).then((rect: ?RectType) => {
+            const origin = rect
+                ? getOriginTransform(image, rect, image.rotation)
+                : initialParams;
+
+            this.imageScaleValue.setValue(origin.scale);
+            this.imageTranslateValue.setValue(origin.translate);
+            this.getTransitionAnimation(1, initialParams).start();
+        });
     }
 
     close() {
+        const {images, imageIndex} = this.state;
+        const image = images[imageIndex];
+
+        if (this.isClosing) {
+            return;
+        }
+
+        if (!this.hasOriginRect(image)) {
+            this.hide();
+
+            return;
+        }
+
+        this.isClosing = true;
+
+        this.getOriginRect(image, imageIndex).then((rect: ?RectType) => {
+            if (!rect) {
+                this.hide();
+
+                return;
+            }
+
+            this.getTransitionAnimation(
+                0,
+                getOriginTransform(image, rect, image.rotation)
+            ).start(() => this.hide());
+        });
+    }
+
+    hide() {
+        this.isClosing = false;
+        this.stopSlideshow();
         this.setState({isVisible: false});
 
         if (typeof this.props.onClose === 'function') {
@@ -679,7 +1966,7 @@ export default class ImageView extends Component<PropsType> {
         this.setState({panelsVisible});
 
         Animated.timing(this.headerTranslateValue.y, {
-            toValue: !panelsVisible ? -HEADER_HEIGHT : 0,
+            toValue: !panelsVisible ? -this.headerHeight : 0,
             duration: 200,
             useNativeDriver: true,
         }).start();
@@ -693,35 +1980,269 @@ export default class ImageView extends Component<PropsType> {
         }
     }
 
+    renderDefaultHeader(
+        image: ImageType,
+        {index, total, close}: HeaderParamsType
+    ): Node {
+        return (
+            <View style={styles.defaultHeader}>
+                {total > 1 && (
+                    <Text
+                        style={styles.counter}
+                        accessibilityLabel={`Image ${index + 1} of ${total}`}
+                    >{`${index + 1} / ${total}`}</Text>
+                )}
+                <TouchableOpacity
+                    style={styles.closeButton}
+                    onPress={close}
+                    accessible
+                    accessibilityLabel="Close"
+                    accessibilityRole="button"
+                >
+                    <Text style={styles.closeButton__text}>×</Text>
+                </TouchableOpacity>
+            </View>
+        );
+    }
+
+    renderThumbnail({item: image, index}): Node {
+        const {renderThumbnail} = this.props;
+        const isActive = index === this.state.imageIndex;
+
+        return (
+            <TouchableOpacity
+                style={[styles.thumbnail, isActive && styles.thumbnailActive]}
+                onPress={(): void => this.goToIndex(index, false)}
+                accessible
+                accessibilityLabel={this.getAccessibilityLabel(index)}
+                accessibilityRole="button"
+            >
+                {typeof renderThumbnail === 'function' ? (
+                    renderThumbnail(image, {index, isActive})
+                ) : (
+                    <Image
+                        resizeMode="cover"
+                        source={
+                            isMediaItem(image)
+                                ? image.thumbnailSource
+                                : image.thumbnailSource || image.source
+                        }
+                        style={styles.thumbnail__image}
+                    />
+                )}
+            </TouchableOpacity>
+        );
+    }
+
+    /**
+     * Transform of the image in pixels of the original image size,
+     * it is updated when gesture or zoom animation ends
+     */
+    getImageTransform(index: number): TransformType {
+        const {imageIndex, imageScale, imageTranslate} = this.state;
+
+        if (index === imageIndex) {
+            return {scale: imageScale, translate: imageTranslate};
+        }
+
+        return {
+            scale: this.getInitialScale(index),
+            translate: this.getInitialTranslate(index),
+        };
+    }
+
+    renderLoading(progress: ?number, top: number): Node {
+        if (!progress) {
+            return <ActivityIndicator style={[styles.loading, {top}]} />;
+        }
+
+        return (
+            <View style={[styles.progress, {top}]}>
+                <View
+                    style={[
+                        styles.progress__bar,
+                        {width: PROGRESS_WIDTH * progress},
+                    ]}
+                />
+            </View>
+        );
+    }
+
+    renderLoadingPage(): Node {
+        return (
+            <View
+                style={[
+                    styles.imageContainer,
+                    styles.loadingPage,
+                    this.state.screenSize,
+                ]}
+            >
+                <ActivityIndicator />
+            </View>
+        );
+    }
+
+    renderLoopPage(index: number): Node {
+        if (!this.isLoopEnabled()) {
+            return null;
+        }
+
+        return this.renderImage({item: this.state.images[index], index});
+    }
+
+    renderDefaultError(image: ImageType, retry: () => void): Node {
+        return (
+            <View>
+                <Text style={styles.error__text}>Image failed to load</Text>
+                <TouchableOpacity
+                    onPress={retry}
+                    accessible
+                    accessibilityLabel="Retry"
+                    accessibilityRole="button"
+                >
+                    <Text style={styles.error__button}>Retry</Text>
+                </TouchableOpacity>
+            </View>
+        );
+    }
+
+    // Media item page takes part in paging and swipe to close as image does
+    renderMedia(item: ImageType, index: number): Node {
+        const {renderMedia} = this.props;
+        const {width, height} = this.state.screenSize;
+        const isActive = index === this.state.imageIndex;
+
+        // Page is not an accessible element itself, so controls of the media
+        // are reachable. Label and actions of the page are taken by
+        // a separate element which screen reader focuses before the media
+        return (
+            <View style={[styles.imageContainer, {width, height}]}>
+                <View
+                    style={styles.mediaAccessibilityElement}
+                    accessible
+                    accessibilityLabel={this.getAccessibilityLabel(index)}
+                    accessibilityActions={this.getAccessibilityActions(index)}
+                    onAccessibilityAction={this.onAccessibilityAction}
+                    onAccessibilityEscape={this.close}
+                />
+                <Animated.View
+                    style={this.getImageStyle(item, index)}
+                    {...this.mediaPanResponder.panHandlers}
+                >
+                    {typeof renderMedia === 'function' &&
+                        renderMedia(item, {index, isActive})}
+                </Animated.View>
+            </View>
+        );
+    }
+
     renderImage({item: image, index}): Node {
+        if (isMediaItem(image)) {
+            return this.renderMedia(image, index);
+        }
+
+        const {renderImageOverlay, renderError} = this.props;
+        const {width, height} = this.state.screenSize;
+        const key = this.state.imageKeys[index];
+        const retry = (): void => this.retryImage(key);
         const loaded = image.loaded && image.width && image.height;
+        const previewSource = image.previewSource || image.thumbnailSource;
+        // screen reader doesn't reach children of accessible element,
+        // so it is not accessible while retry button is shown
+        const accessible = !image.error;
 
         return (
             <View
-                style={styles.imageContainer}
+                style={[styles.imageContainer, {width, height}]}
                 onStartShouldSetResponder={(): boolean => true}
+                accessible={accessible}
+                accessibilityRole="image"
+                accessibilityLabel={this.getAccessibilityLabel(index)}
+                accessibilityActions={this.getAccessibilityActions(index)}
+                onAccessibilityAction={this.onAccessibilityAction}
+                onAccessibilityEscape={this.close}
             >
-                <Animated.Image
-                    resizeMode="cover"
-                    source={image.source}
+                <Animated.View
                     style={this.getImageStyle(image, index)}
-                    onLoad={(): void => this.onImageLoaded(index)}
                     {...this.panResponder.panHandlers}
-                />
-                {!loaded && <ActivityIndicator style={styles.loading} />}
+                >
+                    {previewSource &&
+                        !image.loaded && (
+                            <Image
+                                resizeMode="cover"
+                                source={previewSource}
+                                style={styles.image}
+                            />
+                        )}
+                    <Animated.Image
+                        key={`image-${image.retryCount || 0}`}
+                        resizeMode="cover"
+                        source={image.source}
+                        style={[
+                            styles.image,
+                            {opacity: this.getImageOpacity(key)},
+                        ]}
+                        onLoad={(): void => this.onImageLoaded(key)}
+                        onProgress={(event: Object): void =>
+                            this.onImageProgress(key, event.nativeEvent)
+                        }
+                        onError={(event: Object): void =>
+                            this.setImageError(key, event.nativeEvent.error)
+                        }
+                    />
+                    {typeof renderImageOverlay === 'function' &&
+                        renderImageOverlay(
+                            image,
+                            this.getImageTransform(index)
+                        )}
+                </Animated.View>
+                {image.error && (
+                    <View style={styles.error} pointerEvents="box-none">
+                        {typeof renderError === 'function'
+                            ? renderError(image, retry)
+                            : this.renderDefaultError(image, retry)}
+                    </View>
+                )}
+                {!loaded &&
+                    !image.error &&
+                    this.renderLoading(
+                        image.progress,
+                        image.progress ? height / 2 - 1.5 : height / 2 - 20
+                    )}
             </View>
         );
     }
 
     render(): Node {
-        const {animation, renderFooter} = this.props;
-        const {images, imageIndex, isVisible, scrollEnabled} = this.state;
-
+        const {
+            animation,
+            renderHeader,
+            renderFooter,
+            showThumbnails,
+            isLoadingStart,
+            isLoadingEnd,
+        } = this.props;
+        const {
+            images,
+            imageKeys,
+            imageIndex,
+            isVisible,
+            screenSize,
+        } = this.state;
+        const {preloadAhead, preloadBehind} = this.settings;
+
+        const headerParams = {
+            index: imageIndex,
+            total: images.length,
+            close: this.close,
+            rotate: (degrees: number): void => this.rotate(imageIndex, degrees),
+        };
         const headerTranslate = this.headerTranslateValue.getTranslateTransform();
         const footerTranslate = this.footerTranslateValue.getTranslateTransform();
-        const backgroundColor = this.modalBackgroundOpacity.interpolate({
+        // colors are not animated by native driver, so opacity is
+        const backgroundOpacity = this.modalBackgroundOpacity.interpolate({
             inputRange: [0, 1],
-            outputRange: ['rgba(0, 0, 0, 0.9)', 'rgba(0, 0, 0, 0.2)'],
+            outputRange: [0.9, 0.2],
         });
 
         return (
@@ -730,44 +2251,104 @@ export default class ImageView extends Component<PropsType> {
                 style={[
                     styles.modal,
                     animation === 'fade' && {opacity: this.modalAnimation},
-                    {backgroundColor},
                 ]}
             >
                 <Animated.View
-                    style={[styles.header, {transform: headerTranslate}]}
+                    style={[
+                        styles.background,
+                        {opacity: this.transitionAnimation},
+                    ]}
                 >
-                    <TouchableOpacity
-                        style={styles.closeButton}
-                        onPress={() => {
-                            this.close();
-                        }}
-                    >
-                        <Text style={styles.closeButton__text}>×</Text>
-                    </TouchableOpacity>
+                    <Animated.View
+                        style={[
+                            styles.background,
+                            styles.backgroundColor,
+                            {opacity: backgroundOpacity},
+                        ]}
+                    />
+                </Animated.View>
+                <Animated.View
+                    style={[
+                        styles.header,
+                        {width: screenSize.width},
+                        {
+                            opacity: this.transitionAnimation,
+                            transform: headerTranslate,
+                        },
+                    ]}
+                    onLayout={event => {
+                        this.headerHeight = event.nativeEvent.layout.height;
+                    }}
+                >
+                    {typeof renderHeader === 'function'
+                        ? renderHeader(images[imageIndex], headerParams)
+                        : this.renderDefaultHeader(
+                              images[imageIndex],
+                              headerParams
+                          )}
                 </Animated.View>
                 <FlatList
                     horizontal
                     pagingEnabled
                     data={images}
-                    scrollEnabled={scrollEnabled}
+                    scrollEnabled={this.scrollEnabled}
                     scrollEventThrottle={16}
-                    style={styles.container}
+                    style={screenSize}
                     ref={this.onFlatListRender}
                     renderSeparator={() => null}
-                    keyExtractor={(image: ImageType): string =>
-                        images.indexOf(image).toString()
+                    keyExtractor={(image: ImageType, index: number): string =>
+                        imageKeys[index]
                     }
                     onScroll={this.onNextImage}
+                    onScrollBeginDrag={this.onScrollBeginDrag}
                     renderItem={this.renderImage}
-                    getItemLayout={getItemLayout}
+                    getItemLayout={this.getItemLayout}
+                    initialNumToRender={1}
+                    windowSize={2 * Math.max(preloadAhead, preloadBehind) + 1}
+                    ListHeaderComponent={
+                        isLoadingStart
+                            ? this.renderLoadingPage()
+                            : this.renderLoopPage(images.length - 1)
+                    }
+                    ListFooterComponent={
+                        isLoadingEnd
+                            ? this.renderLoadingPage()
+                            : this.renderLoopPage(0)
+                    }
                 />
-                {renderFooter && (
+                {(renderFooter || showThumbnails) && (
                     <Animated.View
-                        style={[styles.footer, {transform: footerTranslate}]}
+                        style={[
+                            styles.footer,
+                            {
+                                opacity: this.transitionAnimation,
+                                transform: footerTranslate,
+                            },
+                        ]}
                         onLayout={event => {
                             this.footerHeight = event.nativeEvent.layout.height;
                         }}
                     >
+                        {showThumbnails && (
+                            <FlatList
+                                horizontal
+                                data={images}
+                                extraData={imageIndex}
+                                initialScrollIndex={imageIndex}
+                                showsHorizontalScrollIndicator={false}
+                                style={{width: screenSize.width}}
+                                contentContainerStyle={styles.thumbnails}
+                                ref={thumbnailsList => {
+                                    this.thumbnailsList = thumbnailsList;
+                                }}
+                                keyExtractor={(
+                                    image: ImageType,
+                                    index: number
+                                ): string => imageKeys[index]}
+                                renderItem={this.renderThumbnail}
+                                getItemLayout={getThumbnailLayout}
+                            />
+                        )}
                         {typeof renderFooter === 'function' &&
                             renderFooter(images[imageIndex])}
                     </Animated.View>
@@ -780,4 +2361,13 @@ export default class ImageView extends Component<PropsType> {
 ImageView.defaultProps = {
     images: [],
     imageIndex: 0,
+    keyExtractor: defaultKeyExtractor,
+    getAccessibilityLabel: defaultAccessibilityLabel,
+    handleBackPress: true,
+    isLoadingStart: false,
+    isLoadingEnd: false,
+    loop: false,
+    autoPlay: false,
+    showThumbnails: false,
+    ...DEFAULT_SETTINGS,
 };
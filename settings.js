@@ -0,0 +1,67 @@
+/* @flow */
+
+export type ZoomSettingsType = {
+    minScale: number,
+    maxScale: number,
+    pinchScaleMultiplier: number,
+    doubleTapDelay: number,
+    doubleTapZoomEnabled: boolean,
+    doubleTapZoomSteps: Array<number>,
+    longPressDelay: number,
+};
+
+export const isBoolean = (value: any): boolean => typeof value === 'boolean';
+export const isNumber = (value: any): boolean =>
+    typeof value === 'number' && isFinite(value) && value >= 0;
+export const isPositiveNumber = (value: any): boolean =>
+    isNumber(value) && value > 0;
+
+// Gallery and ZoomableImage zoom images the same way
+export const DEFAULT_ZOOM_SETTINGS: ZoomSettingsType = {
+    minScale: 1,
+    maxScale: 5,
+    pinchScaleMultiplier: 1.2,
+    doubleTapDelay: 200,
+    doubleTapZoomEnabled: true,
+    doubleTapZoomSteps: [3],
+    longPressDelay: 500,
+};
+
+export const zoomSettingValidators = {
+    minScale: isPositiveNumber,
+    maxScale: isPositiveNumber,
+    pinchScaleMultiplier: isPositiveNumber,
+    doubleTapDelay: isNumber,
+    doubleTapZoomEnabled: isBoolean,
+    doubleTapZoomSteps: (steps: any): boolean =>
+        Array.isArray(steps) && steps.every(isPositiveNumber),
+    longPressDelay: isPositiveNumber,
+};
+
+// Take settings from props, invalid values are replaced with defaults
+export function getSettings(
+    props: Object,
+    defaults: Object,
+    validators: {[name: string]: (value: any) => boolean},
+    componentName: string
+): Object {
+    return Object.keys(defaults).reduce((settings, name) => {
+        const value = props[name];
+
+        if (validators[name](value)) {
+            settings[name] = value;
+        } else {
+            if (__DEV__) {
+                console.warn(
+                    `${componentName}: invalid value of "${name}" prop: ${String(
+                        value
+                    )}, default value is used instead`
+                );
+            }
+
+            settings[name] = defaults[name];
+        }
+
+        return settings;
+    }, {});
+}
@@ -0,0 +1,460 @@
+/* @flow */
+
+export type TouchType = {
+    pageX: number,
+    pageY: number,
+};
+
+export type TranslateType = {
+    x: number,
+    y: number,
+};
+
+export type SizeType = {
+    width: number,
+    height: number,
+};
+
+export type RectType = {
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+};
+
+export type TransformType = {
+    scale: number,
+    translate: TranslateType,
+};
+
+type ControllerOptionsType = {
+    containerSize: SizeType,
+    imageSize: SizeType,
+    rotation?: number,
+    minScale?: number,
+    maxScale?: number,
+};
+
+const SCALE_EPSILON = 0.01;
+
+export const MOMENTUM_DECELERATION = 0.997;
+
+export const scalesAreEqual = (scaleA: number, scaleB: number): boolean =>
+    Math.abs(scaleA - scaleB) < SCALE_EPSILON;
+
+export const getScale = (
+    currentDistance: number,
+    initialDistance: number,
+    multiplier: number
+): number => currentDistance / initialDistance * multiplier;
+
+const pow2abs = (a: number, b: number): number => Math.pow(Math.abs(a - b), 2);
+
+// Distance that Animated.decay travels with given velocity (px/ms)
+export const getMomentumDistance = (velocity: number): number =>
+    velocity / (1 - MOMENTUM_DECELERATION);
+
+export function getDistance(touches: Array<TouchType>): number {
+    const [a, b] = touches;
+
+    if (a == null || b == null) {
+        return 0;
+    }
+
+    return Math.sqrt(pow2abs(a.pageX, b.pageX) + pow2abs(a.pageY, b.pageY));
+}
+
+export function getMidpoint(touches: Array<TouchType>): TranslateType {
+    const [a, b] = touches;
+
+    return {
+        x: (a.pageX + b.pageX) / 2,
+        y: (a.pageY + b.pageY) / 2,
+    };
+}
+
+/**
+ * Point of the image in its pixels which is under the screen point,
+ * image is scaled and rotated around its center
+ */
+export function getImagePoint(
+    point: TranslateType,
+    {width, height}: SizeType,
+    {scale, translate}: TransformType,
+    rotation: number
+): TranslateType {
+    const angle = -rotation * Math.PI / 180;
+    const dx = point.x - translate.x - width / 2;
+    const dy = point.y - translate.y - height / 2;
+
+    return {
+        x: (dx * Math.cos(angle) - dy * Math.sin(angle)) / scale + width / 2,
+        y: (dx * Math.sin(angle) + dy * Math.cos(angle)) / scale + height / 2,
+    };
+}
+
+/**
+ * Translate for the next scale that keeps the point of the image
+ * which was under the initial focal point right under the current focal point
+ */
+export function getFocalTranslate(
+    {width, height}: {width: number, height: number},
+    translate: TranslateType,
+    scale: number,
+    nextScale: number,
+    initialFocal: TranslateType,
+    focal: TranslateType
+): TranslateType {
+    const getTranslate = (axis: string): number => {
+        const imageSize = axis === 'x' ? width : height;
+        const imageCenter = translate[axis] + imageSize / 2;
+
+        return (
+            focal[axis] -
+            imageSize / 2 -
+            (initialFocal[axis] - imageCenter) * nextScale / scale
+        );
+    };
+
+    return {
+        x: getTranslate('x'),
+        y: getTranslate('y'),
+    };
+}
+
+export function calculateInitialScale(
+    imageWidth: number = 0,
+    imageHeight: number = 0,
+    {width: screenWidth, height: screenHeight}: SizeType
+): number {
+    const screenRatio = screenHeight / screenWidth;
+    const imageRatio = imageHeight / imageWidth;
+
+    if (imageWidth > screenWidth || imageHeight > screenHeight) {
+        if (screenRatio > imageRatio) {
+            return screenWidth / imageWidth;
+        }
+
+        return screenHeight / imageHeight;
+    }
+
+    return 1;
+}
+
+export function calculateInitalTranslate(
+    imageWidth: number = 0,
+    imageHeight: number = 0,
+    {width: screenWidth, height: screenHeight}: SizeType
+): TranslateType {
+    const getTranslate = (axis: string): number => {
+        const imageSize = axis === 'x' ? imageWidth : imageHeight;
+        const screenSize = axis === 'x' ? screenWidth : screenHeight;
+
+        if (imageWidth >= imageHeight) {
+            return (screenSize - imageSize) / 2;
+        }
+
+        return screenSize / 2 - imageSize / 2;
+    };
+
+    return {
+        x: getTranslate('x'),
+        y: getTranslate('y'),
+    };
+}
+
+// Width and height are swapped for the image rotated by 90 or 270 degrees
+export const getRotatedSize = (
+    {width, height}: SizeType,
+    rotation: ?number
+): SizeType =>
+    Math.abs((rotation || 0) % 180) === 90
+        ? {width: height, height: width}
+        : {width, height};
+
+// Rotated image fits the screen, but it is translated as not rotated one
+export function getInitalParams(
+    {width, height}: SizeType,
+    screenSize: SizeType,
+    rotation: ?number
+): TransformType {
+    const rotatedSize = getRotatedSize({width, height}, rotation);
+
+    return {
+        scale: calculateInitialScale(
+            rotatedSize.width,
+            rotatedSize.height,
+            screenSize
+        ),
+        translate: calculateInitalTranslate(width, height, screenSize),
+    };
+}
+
+// Transform that places rotated image inside the rect on the screen
+export function getOriginTransform(
+    {width, height}: SizeType,
+    rect: RectType,
+    rotation: ?number
+): TransformType {
+    const rotatedSize = getRotatedSize({width, height}, rotation);
+
+    return {
+        scale: Math.min(
+            rect.width / rotatedSize.width,
+            rect.height / rotatedSize.height
+        ),
+        translate: {
+            x: rect.x + rect.width / 2 - width / 2,
+            y: rect.y + rect.height / 2 - height / 2,
+        },
+    };
+}
+
+/**
+ * Zoom and pan geometry of the image inside the container,
+ * it doesn't keep any state: every method takes transform
+ * and returns the next one.
+ *
+ * Image is laid out in its original size, translate is its offset
+ * in the container and scale and rotation are applied around its center.
+ * minScale is relative to the scale image fits the container with,
+ * maxScale is relative to the original image size.
+ */
+export default class TransformController {
+    containerSize: SizeType;
+    imageSize: SizeType;
+    rotation: number;
+    minScale: number;
+    maxScale: number;
+
+    constructor({
+        containerSize,
+        imageSize,
+        rotation = 0,
+        minScale = 1,
+        maxScale = 5,
+    }: ControllerOptionsType) {
+        this.containerSize = containerSize;
+        this.imageSize = imageSize;
+        this.rotation = rotation;
+        this.minScale = minScale;
+        this.maxScale = maxScale;
+    }
+
+    // Image fits the container and is placed in its center
+    getInitialTransform(): TransformType {
+        return getInitalParams(
+            this.imageSize,
+            this.containerSize,
+            this.rotation
+        );
+    }
+
+    getMinScale(): number {
+        return this.minScale * this.getInitialTransform().scale;
+    }
+
+    getMaxScale(): number {
+        return Math.max(this.maxScale, this.getMinScale());
+    }
+
+    clampScale(scale: number): number {
+        return Math.min(
+            Math.max(scale, this.getMinScale()),
+            this.getMaxScale()
+        );
+    }
+
+    // Absolute scales of zoom steps relative to the fitted scale
+    getZoomSteps(steps: Array<number>): Array<number> {
+        const initialScale = this.getInitialTransform().scale;
+        const maxScale = this.getMaxScale();
+
+        return steps.map((step: number): number =>
+            Math.min(step * initialScale, maxScale)
+        );
+    }
+
+    /**
+     * Next zoom step after the current scale,
+     * when the last step is reached image is zoomed back to fit the container
+     */
+    getNextZoomStep(scale: number, steps: Array<number>): number {
+        const nextScale = this.getZoomSteps(steps).find(
+            (stepScale: number): boolean =>
+                stepScale > scale && !scalesAreEqual(stepScale, scale)
+        );
+
+        return nextScale || this.getInitialTransform().scale;
+    }
+
+    // Previous zoom step before the current scale or the fitted scale
+    getPrevZoomStep(scale: number, steps: Array<number>): number {
+        const prevScale = this.getZoomSteps(steps)
+            .filter(
+                (stepScale: number): boolean =>
+                    stepScale < scale && !scalesAreEqual(stepScale, scale)
+            )
+            .pop();
+
+        return Math.max(prevScale || 0, this.getInitialTransform().scale);
+    }
+
+    // Size of the rotated image in the container
+    getScaledSize(scale: number): SizeType {
+        const {width, height} = getRotatedSize(this.imageSize, this.rotation);
+
+        return {width: width * scale, height: height * scale};
+    }
+
+    /**
+     * Image bigger than the container doesn't leave empty space
+     * at its edges, smaller one is kept in the center
+     */
+    clampTranslate({x, y}: TranslateType, scale: number): TranslateType {
+        const {imageSize, containerSize} = this;
+        const scaledSize = this.getScaledSize(scale);
+
+        const getTranslate = (axis: string): number => {
+            const size = axis === 'x' ? imageSize.width : imageSize.height;
+            const scaledImageSize =
+                axis === 'x' ? scaledSize.width : scaledSize.height;
+            const screenSize =
+                axis === 'x' ? containerSize.width : containerSize.height;
+            const leftLimit = (scaledImageSize - size) / 2;
+            const rightLimit = screenSize - size - leftLimit;
+
+            let nextTranslate = axis === 'x' ? x : y;
+
+            // Less than the screen, keep it in the center
+            if (screenSize > scaledImageSize) {
+                return (screenSize - size) / 2;
+            }
+
+            if (nextTranslate > leftLimit) {
+                nextTranslate = leftLimit;
+            }
+
+            if (nextTranslate < rightLimit) {
+                nextTranslate = rightLimit;
+            }
+
+            return nextTranslate;
+        };
+
+        return {x: getTranslate('x'), y: getTranslate('y')};
+    }
+
+    /**
+     * Zoomed image follows the finger, it's moved vertically
+     * only if it is higher than the container, limits are applied on release
+     */
+    pan(
+        {scale, translate}: TransformType,
+        {x: dx, y: dy}: TranslateType
+    ): TransformType {
+        const initialScale = this.getInitialTransform().scale;
+        const {height} = this.getScaledSize(scale);
+
+        return {
+            scale,
+            translate: {
+                x: !scalesAreEqual(scale, initialScale)
+                    ? translate.x + dx
+                    : translate.x,
+                y:
+                    height > this.containerSize.height
+                        ? translate.y + dy
+                        : translate.y,
+            },
+        };
+    }
+
+    /**
+     * Zoom image from the gesture start transform around the point
+     * between fingers, moving this point also pans the image
+     */
+    pinch(
+        origin: TransformType,
+        initialTouches: Array<TouchType>,
+        touches: Array<TouchType>,
+        multiplier: number = 1
+    ): TransformType {
+        const initialDistance = getDistance(initialTouches);
+
+        if (!initialDistance) {
+            return origin;
+        }
+
+        const scale = this.clampScale(
+            getScale(getDistance(touches), initialDistance, multiplier) *
+                origin.scale
+        );
+
+        return {
+            scale,
+            translate: getFocalTranslate(
+                this.imageSize,
+                origin.translate,
+                origin.scale,
+                scale,
+                getMidpoint(initialTouches),
+                getMidpoint(touches)
+            ),
+        };
+    }
+
+    /**
+     * Zoom image keeping its point under the focal point of the container,
+     * the point can be moved to the next focal point at the same time
+     */
+    zoom(
+        {scale, translate}: TransformType,
+        nextScale: number,
+        focal: TranslateType,
+        nextFocal: TranslateType = focal
+    ): TransformType {
+        const clampedScale = this.clampScale(nextScale);
+        const focalTranslate = getFocalTranslate(
+            this.imageSize,
+            translate,
+            scale,
+            clampedScale,
+            focal,
+            nextFocal
+        );
+
+        return {
+            scale: clampedScale,
+            translate: this.clampTranslate(focalTranslate, clampedScale),
+        };
+    }
+
+    /**
+     * Transform image stops at after release, it keeps moving
+     * with release velocity (px/ms) and stays in the limits
+     */
+    release(
+        {scale, translate}: TransformType,
+        velocity: TranslateType = {x: 0, y: 0}
+    ): TransformType {
+        return {
+            scale,
+            translate: this.clampTranslate(
+                {
+                    x: translate.x + getMomentumDistance(velocity.x),
+                    y: translate.y + getMomentumDistance(velocity.y),
+                },
+                scale
+            ),
+        };
+    }
+
+    // Point of the image in its pixels which is under the container point
+    getImagePoint(
+        transform: TransformType,
+        point: TranslateType
+    ): TranslateType {
+        return getImagePoint(point, this.imageSize, transform, this.rotation);
+    }
+}